@@ -1,77 +1,400 @@
 "use client"
 
-import { useEffect, useState, useMemo } from "react"
+import { Fragment, useEffect, useState, useMemo, useRef } from "react"
 import L from "leaflet"
-import { MapContainer, TileLayer, Polyline, Marker, Popup, useMap } from "react-leaflet"
+import {
+  MapContainer,
+  TileLayer,
+  Polyline,
+  Polygon,
+  Marker,
+  Popup,
+  Circle,
+  CircleMarker,
+  Tooltip,
+  useMap,
+  useMapEvents,
+} from "react-leaflet"
+import { compareColor, compareFlight } from "./compare"
+import FireInfluenceReport from "./FireInfluenceReport"
+import ProfileCharts from "./ProfileCharts"
+import {
+  clusterFlights,
+  FIRE_STATUS_LEGEND,
+  fireStatusColor,
+  PROXIMITY_LEGEND,
+  proximityColor,
+  RISK_COLORS,
+  WATCH_STATUS_COLORS,
+} from "./overview"
+import { fireTime, positionAt, sceneTimeRange, trailAt } from "./playback"
+import { applySceneDelta } from "./sceneDelta"
+import { windArrow, windColor, WIND_LEGEND } from "./winds"
 
-// Auto-fit the map to the selected balloon track
-function FitToTrack({ positions }) {
+const HOUR_MS = 3600 * 1000
+const PLAYBACK_TICK_MS = 100
+const PLAYBACK_SPEEDS = [
+  { label: "15 min/s", hoursPerSecond: 0.25 },
+  { label: "1 h/s", hoursPerSecond: 1 },
+  { label: "3 h/s", hoursPerSecond: 3 },
+  { label: "6 h/s", hoursPerSecond: 6 },
+]
+// Trail opacity by age: last 2 h, 2–6 h, 6–24 h
+const TRAIL_AGES_H = [2, 6, 24]
+const TRAIL_OPACITY = [0.9, 0.45, 0.15]
+
+// Auto-fit the map to the selected balloon track (only when the selection
+// changes, so live updates don't yank the view around)
+function FitToTrack({ trackId, positions }) {
   const map = useMap()
+  const fittedId = useRef(null)
 
   useEffect(() => {
-    if (!positions || !positions.length) return
+    if (!positions || !positions.length || fittedId.current === trackId) return
+    fittedId.current = trackId
     map.fitBounds(positions, { padding: [40, 40] })
-  }, [positions, map])
+  }, [trackId, positions, map])
 
   return null
 }
 
+function FireEventPopup({ event }) {
+  const status = FIRE_STATUS_LEGEND.find((l) => l.status === event.status)
+  return (
+    <Popup>
+      <div style={{ fontSize: "0.75rem" }}>
+        <div>
+          <strong>Fire event</strong> ({event.detections} detection{event.detections === 1 ? "" : "s"})
+          {event.region && ` in ${event.region.label}`}
+        </div>
+        {status && (
+          <div>
+            Status: <strong style={{ color: status.color }}>{status.label}</strong>
+            {event.age_hours != null && ` · burning ${event.age_hours.toFixed(1)} h`}
+            {event.growth_rate_per_h != null &&
+              event.growth_rate_per_h !== 0 &&
+              ` · ${event.growth_rate_per_h > 0 ? "+" : ""}${event.growth_rate_per_h.toFixed(2)} detections/h`}
+          </div>
+        )}
+        {event.first_seen && <div>First seen: {new Date(event.first_seen).toLocaleString()}</div>}
+        {event.near_flights?.length > 0 && (
+          <div style={{ color: "#e11d48" }}>
+            ⚠ Near {event.near_flights.map((n) => `${n.flight_id} (${n.distance_km.toFixed(1)} km)`).join(", ")}
+          </div>
+        )}
+        <div>Area: {event.area_km2.toFixed(1)} km²</div>
+        {event.first_acquired && (
+          <div>First detection in window: {new Date(event.first_acquired).toLocaleString()}</div>
+        )}
+        {event.last_acquired && <div>Last detection: {new Date(event.last_acquired).toLocaleString()}</div>}
+        {event.brightness_max != null && <div>Max brightness: {event.brightness_max} K</div>}
+        {event.frp_sum != null && <div>Total FRP: {event.frp_sum} MW</div>}
+        {event.satellites.length > 0 && <div>Sensors: {event.satellites.join(", ")}</div>}
+      </div>
+    </Popup>
+  )
+}
+
+// Balloon-derived wind field: one arrow per grid cell, pointing downwind
+function WindField({ winds }) {
+  const { cell_deg: cellDeg, cells } = winds.grid
+  const maxSpeed = cells.reduce((max, c) => Math.max(max, c.speed_kmh), 0)
+
+  return cells.map((cell) => (
+    <Polyline
+      key={`${cell.region_id}:${cell.lat}:${cell.lon}`}
+      positions={windArrow(cell, cellDeg, maxSpeed)}
+      pathOptions={{ color: windColor(cell.speed_kmh), weight: 1.5, opacity: 0.85 }}
+    >
+      <Tooltip sticky>
+        {cell.speed_kmh.toFixed(0)} km/h from {cell.direction_deg.toFixed(0)}° · {cell.samples} sample
+        {cell.samples === 1 ? "" : "s"}, nearest {cell.nearest_sample_km.toFixed(0)} km
+      </Tooltip>
+    </Polyline>
+  ))
+}
+
+// Past this zoom every balloon gets its own marker
+const CLUSTER_MAX_ZOOM = 7
+
+// Current map view as /api/scene query values
+const viewOf = (map) => {
+  const b = map.getBounds()
+  return {
+    bbox: [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()].map((n) => n.toFixed(3)).join(","),
+    zoom: map.getZoom(),
+  }
+}
+
+// Latest position of every balloon, clustered at low zoom and coloured by
+// fire proximity; hovering a balloon shows its track. Reports the view
+// (bbox + zoom) so the parent can load just what is on screen.
+function BalloonOverview({ flights, selectedId, onSelect, onViewChange }) {
+  const map = useMap()
+  const [zoom, setZoom] = useState(() => map.getZoom())
+  const [hoveredId, setHoveredId] = useState(null)
+
+  useMapEvents({
+    moveend: () => onViewChange(viewOf(map)),
+    zoomend: () => setZoom(map.getZoom()),
+  })
+
+  // Initial view, before the user has moved the map
+  useEffect(() => onViewChange(viewOf(map)), [map, onViewChange])
+
+  const clusters = useMemo(
+    () =>
+      zoom > CLUSTER_MAX_ZOOM
+        ? flights.map((f) => ({
+            lat: f.latest.lat,
+            lon: f.latest.lon,
+            flights: [f],
+            minDistanceKm: f.fire_summary?.min_distance_km ?? null,
+          }))
+        : clusterFlights(flights, (lat, lon) => map.project([lat, lon], zoom)),
+    [flights, zoom, map]
+  )
+  const hovered = flights.find((f) => f.id === hoveredId)
+
+  return (
+    <>
+      {hovered && hovered.id !== selectedId && (
+        <Polyline
+          positions={hovered.track.map((p) => [p.lat, p.lon])}
+          pathOptions={{ color: proximityColor(hovered.fire_summary?.min_distance_km), weight: 3 }}
+        />
+      )}
+      {clusters.map((c) => {
+        const color = proximityColor(c.minDistanceKm)
+        if (c.flights.length > 1) {
+          const size = Math.min(24 + Math.log2(c.flights.length) * 6, 56)
+          const icon = L.divIcon({
+            html: `<div style="width:${size}px;height:${size}px;border-radius:50%;background:${color};opacity:0.85;border:2px solid #fff;color:#111;font:600 12px system-ui;display:flex;align-items:center;justify-content:center">${c.flights.length}</div>`,
+            className: "balloon-cluster",
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2],
+          })
+          return (
+            <Marker
+              key={`cluster-${c.flights[0].id}`}
+              position={[c.lat, c.lon]}
+              icon={icon}
+              eventHandlers={{
+                click: () =>
+                  map.fitBounds(
+                    c.flights.map((f) => [f.latest.lat, f.latest.lon]),
+                    { padding: [40, 40], maxZoom: CLUSTER_MAX_ZOOM + 1 }
+                  ),
+              }}
+            >
+              <Tooltip>
+                {c.flights.length} balloons
+                {c.minDistanceKm != null && ` · nearest fire ${c.minDistanceKm.toFixed(1)} km`}
+              </Tooltip>
+            </Marker>
+          )
+        }
+
+        const f = c.flights[0]
+        return (
+          <CircleMarker
+            key={f.id}
+            center={[c.lat, c.lon]}
+            radius={f.id === selectedId ? 8 : 6}
+            pathOptions={{
+              color: f.id === selectedId ? "#1d4ed8" : "#334155",
+              weight: 2,
+              fillColor: color,
+              fillOpacity: 0.9,
+            }}
+            eventHandlers={{
+              click: () => onSelect(f.id),
+              mouseover: () => setHoveredId(f.id),
+              mouseout: () => setHoveredId((prev) => (prev === f.id ? null : prev)),
+            }}
+          >
+            <Tooltip>
+              {f.id}
+              {f.fire_summary?.min_distance_km != null && ` · ${f.fire_summary.min_distance_km.toFixed(1)} km to fire`}
+            </Tooltip>
+          </CircleMarker>
+        )
+      })}
+    </>
+  )
+}
+
+// Play/pause, speed and scrubbing across the loaded time range.
+// `time` is null while following the latest data.
+function Timeline({ range, time, playing, speed, onTimeChange, onTogglePlay, onSpeedChange }) {
+  const current = time ?? range[1]
+  const buttonStyle = {
+    padding: "0.25rem 0.6rem",
+    borderRadius: "4px",
+    border: "1px solid #475569",
+    backgroundColor: "transparent",
+    cursor: "pointer",
+    fontSize: "0.8rem",
+  }
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: "0.75rem",
+        padding: "0.5rem 1rem",
+        borderTop: "1px solid #eee",
+        fontSize: "0.8rem",
+      }}
+    >
+      <button onClick={onTogglePlay} style={buttonStyle} title={playing ? "Pause" : "Play"}>
+        {playing ? "⏸" : "▶"}
+      </button>
+      <select value={speed} onChange={(e) => onSpeedChange(Number(e.target.value))} style={{ fontSize: "0.8rem" }}>
+        {PLAYBACK_SPEEDS.map((s) => (
+          <option key={s.hoursPerSecond} value={s.hoursPerSecond}>
+            {s.label}
+          </option>
+        ))}
+      </select>
+      <input
+        type="range"
+        min={range[0]}
+        max={range[1]}
+        step={60 * 1000}
+        value={current}
+        onChange={(e) => onTimeChange(Number(e.target.value))}
+        style={{ flex: 1 }}
+      />
+      <span style={{ minWidth: "11rem", fontFamily: "monospace" }}>{new Date(current).toLocaleString()}</span>
+      <button
+        onClick={() => onTimeChange(null)}
+        disabled={time == null}
+        style={{ ...buttonStyle, color: time == null ? "#16a34a" : "inherit", cursor: time == null ? "default" : "pointer" }}
+        title="Jump to the latest data"
+      >
+        ● Live
+      </button>
+    </div>
+  )
+}
+
 function App() {
   const [scene, setScene] = useState(null)
   const [selectedId, setSelectedId] = useState(null)
+  const [compareIds, setCompareIds] = useState([]) // balloons overlaid for comparison, in selection order
   const [error, setError] = useState("")
   const [loading, setLoading] = useState(true)
-  const [animIndex, setAnimIndex] = useState(0) // for animated balloon marker
-  const [sortBy, setSortBy] = useState("id") // "id" | "fire"
+  const [playTime, setPlayTime] = useState(null) // ms, or null to follow the latest data
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(1) // track hours per second
+  const [sortBy, setSortBy] = useState("id") // "id" | "risk"
+  const [regionFilter, setRegionFilter] = useState("") // region id the balloon is over, "" = all
+  const [overview, setOverview] = useState(true) // all balloons, clustered
+  const [view, setView] = useState(null) // { bbox, zoom } of the map
+  const [viewScene, setViewScene] = useState(null) // /api/scene for just that view
+  const [hoverTimestamp, setHoverTimestamp] = useState(null) // track point hovered in the charts
+  const [showWinds, setShowWinds] = useState(false)
+  const [windBand, setWindBand] = useState("") // "" = the band with the most samples
+  const [winds, setWinds] = useState(null) // /api/winds for that band
+  const [showPlumes, setShowPlumes] = useState(true)
+  const [showReport, setShowReport] = useState(false)
+  const [reportBaseline, setReportBaseline] = useState("band") // "band" | "flight"
+  const [report, setReport] = useState(null) // /api/analysis/fire-influence
 
   useEffect(() => {
-    const load = async () => {
-      try {
-        const res = await fetch("/api/scene")
-        if (!res.ok) throw new Error(`Failed to load scene: ${res.status}`)
-        const data = await res.json()
-        setScene(data)
-        if (data.flights?.length) {
-          setSelectedId((prev) => prev ?? data.flights[0].id)
-        }
-      } catch (err) {
-        setError(err.message)
-      } finally {
+    const showScene = (data) => {
+      setScene(data)
+      setError("")
+      if (data.flights?.length) {
+        setSelectedId((prev) => prev ?? data.flights[0].id)
+      }
+    }
+
+    // The stream opens with the full scene, then sends a delta whenever
+    // the server finishes a refresh
+    let source = null
+    let retryTimer = null
+    let retryDelay = 1000
+
+    const connect = () => {
+      source = new EventSource("/api/stream")
+
+      source.addEventListener("scene", (e) => {
+        retryDelay = 1000
+        showScene(JSON.parse(e.data))
+        setLoading(false)
+      })
+      source.addEventListener("delta", (e) => {
+        const delta = JSON.parse(e.data)
+        setScene((prev) => applySceneDelta(prev, delta))
+      })
+
+      // EventSource retries dropped connections itself, but gives up for
+      // good on an HTTP error; reconnect with backoff in that case
+      source.onerror = () => {
+        if (source.readyState !== EventSource.CLOSED) return
+        setError("Failed to load scene, retrying…")
         setLoading(false)
+        retryTimer = setTimeout(connect, retryDelay)
+        retryDelay = Math.min(retryDelay * 2, 60 * 1000)
       }
     }
 
-    load()
+    connect()
 
-    // Refresh every 5 minutes to keep it "live"
-    const id = setInterval(load, 5 * 60 * 1000)
-    return () => clearInterval(id)
+    return () => {
+      clearTimeout(retryTimer)
+      source?.close()
+    }
   }, [])
 
   const flights = useMemo(() => scene?.flights || [], [scene?.flights])
   const fires = useMemo(() => scene?.fires || [], [scene?.fires])
+  const fireEvents = useMemo(() => scene?.fire_events || [], [scene?.fire_events])
+  const plumes = useMemo(() => scene?.plumes || [], [scene?.plumes])
+  const newIgnitionsNear = fireEvents.filter((e) => e.near_flights?.length > 0)
+  const watchLocations = useMemo(() => scene?.watch_locations || [], [scene?.watch_locations])
   const selected = flights.find((f) => f.id === selectedId) || flights[0] || null
 
-  // Sort flights based on sortBy
+  // Balloons being compared that are still in the scene, with their colours
+  const compared = useMemo(
+    () =>
+      compareIds
+        .map((id, i) => ({ flight: flights.find((f) => f.id === id), color: compareColor(i) }))
+        .filter((c) => c.flight),
+    [compareIds, flights]
+  )
+  const comparison = useMemo(() => compared.map((c) => ({ ...compareFlight(c.flight), color: c.color })), [compared])
+  const toggleCompare = (id) =>
+    setCompareIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]))
+
+  // Regions the balloons are over now, most balloons first
+  const flightRegions = useMemo(() => {
+    const byId = new Map()
+    for (const f of flights) {
+      const region = f.latest.region
+      if (!region) continue
+      const entry = byId.get(region.id) ?? { region, count: 0 }
+      entry.count++
+      byId.set(region.id, entry)
+    }
+    return [...byId.values()].sort((a, b) => b.count - a.count || a.region.label.localeCompare(b.region.label))
+  }, [flights])
+
+  // Filter by region, then sort based on sortBy
   const sortedFlights = useMemo(() => {
-    const list = [...flights]
-    if (sortBy === "fire") {
-      list.sort((a, b) => {
-        const da =
-          typeof a.fire_summary?.min_distance_km === "number"
-            ? a.fire_summary.min_distance_km
-            : Number.POSITIVE_INFINITY
-        const db =
-          typeof b.fire_summary?.min_distance_km === "number"
-            ? b.fire_summary.min_distance_km
-            : Number.POSITIVE_INFINITY
-        return da - db // nearest fires first
-      })
+    const list = flights.filter((f) => !regionFilter || f.latest.region?.id === regionFilter)
+    if (sortBy === "risk") {
+      const distance = (f) => f.fire_summary?.min_distance_km ?? Number.POSITIVE_INFINITY
+      // Riskiest first; nearest fire breaks ties (e.g. everything at zero)
+      list.sort((a, b) => (b.risk?.score ?? 0) - (a.risk?.score ?? 0) || distance(a) - distance(b))
     } else {
       list.sort((a, b) => a.id.localeCompare(b.id))
     }
     return list
-  }, [flights, sortBy])
+  }, [flights, sortBy, regionFilter])
 
   // Center the map at the selected balloon's latest position
   const mapCenter = useMemo(() => {
@@ -80,16 +403,133 @@ function App() {
   }, [selected])
 
   const trackPositions = useMemo(() => (selected ? selected.track.map((p) => [p.lat, p.lon]) : []), [selected])
+  const forecastPositions = useMemo(
+    () => (selected?.forecast ? selected.forecast.points.map((p) => [p.lat, p.lon]) : []),
+    [selected]
+  )
+
+  // Timeline: everything on the map is drawn as of `currentTime`
+  const timeRange = useMemo(() => sceneTimeRange(flights), [flights])
+  const currentTime = timeRange ? Math.min(Math.max(playTime ?? timeRange[1], timeRange[0]), timeRange[1]) : null
 
-  // Animate the balloon marker along the track
   useEffect(() => {
-    if (!trackPositions.length) return
-    setAnimIndex(0)
-    const id = setInterval(() => {
-      setAnimIndex((prev) => (prev + 1) % trackPositions.length)
-    }, 400) // speed in ms
-    return () => clearInterval(id)
-  }, [trackPositions])
+    if (!playing || !timeRange) return
+    const id = setTimeout(() => {
+      const next = (playTime ?? timeRange[0]) + speed * HOUR_MS * (PLAYBACK_TICK_MS / 1000)
+      if (next >= timeRange[1]) {
+        // Caught up: keep following live data
+        setPlayTime(null)
+        setPlaying(false)
+      } else {
+        setPlayTime(next)
+      }
+    }, PLAYBACK_TICK_MS)
+    return () => clearTimeout(id)
+  }, [playing, playTime, speed, timeRange])
+
+  const togglePlay = () => {
+    if (!playing && playTime == null && timeRange) setPlayTime(timeRange[0])
+    setPlaying(!playing)
+  }
+
+  const scrubTo = (time) => {
+    setPlayTime(time)
+    if (time == null) setPlaying(false)
+  }
+
+  const balloonsNow = useMemo(
+    () =>
+      currentTime == null
+        ? []
+        : flights
+            .map((f) => ({
+              flight: f,
+              position: positionAt(f.track, currentTime),
+              trail: trailAt(f.track, currentTime, TRAIL_AGES_H),
+            }))
+            .filter((b) => b.position),
+    [flights, currentTime]
+  )
+  // Overview: load only what is in view, simplified for the zoom, again
+  // whenever the view moves or the live scene is refreshed
+  const generatedAt = scene?.generated_at
+  useEffect(() => {
+    if (!overview || !view) return
+    const controller = new AbortController()
+    const params = new URLSearchParams({ bbox: view.bbox, zoom: String(view.zoom) })
+    fetch(`/api/scene?${params}`, { signal: controller.signal })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => data && setViewScene(data))
+      .catch(() => {}) // superseded by a newer view, or offline: keep the last one
+    return () => controller.abort()
+  }, [overview, view, generatedAt])
+
+  // Wind field for the chosen band, refreshed with the live scene
+  useEffect(() => {
+    if (!showWinds) return
+    const controller = new AbortController()
+    const params = new URLSearchParams(windBand ? { altitude_band: windBand } : {})
+    fetch(`/api/winds?${params}`, { signal: controller.signal })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => data && setWinds(data))
+      .catch(() => {})
+    return () => controller.abort()
+  }, [showWinds, windBand, generatedAt])
+
+  // Fire influence report, recomputed with the live scene while open
+  useEffect(() => {
+    if (!showReport) return
+    const controller = new AbortController()
+    fetch(`/api/analysis/fire-influence?baseline=${reportBaseline}`, { signal: controller.signal })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => data && setReport(data))
+      .catch(() => {})
+    return () => controller.abort()
+  }, [showReport, reportBaseline, generatedAt])
+
+  const showOverview = overview && playTime == null
+  const overviewFlights = viewScene?.flights ?? flights
+
+  // Hovering the profile charts moves the selected balloon to that point
+  const hoverIndex = selected ? selected.track.findIndex((p) => p.timestamp === hoverTimestamp) : -1
+  const hoverPoint = hoverIndex >= 0 ? selected.track[hoverIndex] : null
+  const selectedNow = hoverPoint ?? balloonsNow.find((b) => b.flight.id === selected?.id)?.position ?? null
+
+  // Fires acquired up to `currentTime`: events whose detections are all in
+  // are drawn whole, events still developing as their detections so far
+  const firesNow = useMemo(() => {
+    if (playTime == null) return { events: fireEvents, partial: [], hotspots: [] }
+
+    const byId = new Map(fires.map((f) => [f.id, f]))
+    const events = []
+    const partial = []
+    const hotspots = []
+    for (const event of fireEvents) {
+      const detections = event.detection_ids.map((id) => byId.get(id)).filter(Boolean)
+      const seen = detections.filter((f) => fireTime(f) <= currentTime)
+      if (!seen.length) continue
+      if (seen.length === detections.length) {
+        events.push(event)
+      } else {
+        partial.push(event)
+        hotspots.push(...seen)
+      }
+    }
+    return { events, partial, hotspots }
+  }, [fires, fireEvents, playTime, currentTime])
+
+  // Plumes drifting at `currentTime` (all of them when following live data)
+  const plumesNow = useMemo(
+    () =>
+      playTime == null
+        ? plumes
+        : plumes.filter(
+            (p) =>
+              (p.active_from == null || Date.parse(p.active_from) <= currentTime) &&
+              (p.active_to == null || Date.parse(p.active_to) >= currentTime)
+          ),
+    [plumes, playTime, currentTime]
+  )
 
   if (loading) return <div className="p-4">Loading Balloons &amp; Blazes…</div>
   if (error)
@@ -167,7 +607,125 @@ function App() {
             letterSpacing: "0.5px",
           }}
         >
-          🎈 Balloons: {flights.length} · 🔥 Fires: {fires.length}
+          🎈 Balloons: {flights.length} · 🔥 Fires: {fireEvents.length} ({fires.length} hotspots)
+          {playTime != null && ` · ${firesNow.events.length + firesNow.partial.length} burning at ${new Date(currentTime).toLocaleString()}`}
+        </div>
+
+        <div
+          style={{
+            fontSize: "0.8rem",
+            color: "#cbd5e1",
+            marginTop: "-1rem",
+            marginBottom: "1.5rem",
+            display: "flex",
+            flexWrap: "wrap",
+            gap: "0.75rem",
+          }}
+        >
+          {FIRE_STATUS_LEGEND.map((l) => (
+            <span key={l.status} style={{ display: "flex", alignItems: "center", gap: "0.3rem" }}>
+              <span style={{ width: 10, height: 10, backgroundColor: l.color, opacity: 0.8 }} />
+              {l.label} ({fireEvents.filter((e) => e.status === l.status).length})
+            </span>
+          ))}
+          {newIgnitionsNear.length > 0 && (
+            <span style={{ color: "#fb7185", fontWeight: 600 }}>
+              ⚠ {newIgnitionsNear.length} new ignition{newIgnitionsNear.length === 1 ? "" : "s"} near balloons
+            </span>
+          )}
+        </div>
+
+        {watchLocations.length > 0 && (
+          <div style={{ fontSize: "0.8rem", color: "#cbd5e1", marginBottom: "1.5rem" }}>
+            <div style={{ color: "#fbbf24", fontWeight: 500, marginBottom: "0.4rem" }}>📍 Watch locations</div>
+            {watchLocations.map((loc) => (
+              <div key={loc.id} style={{ marginBottom: "0.4rem" }}>
+                <span
+                  style={{
+                    padding: "0.05rem 0.4rem",
+                    marginRight: "0.4rem",
+                    borderRadius: "999px",
+                    backgroundColor: WATCH_STATUS_COLORS[loc.status],
+                    color: "#0f172a",
+                    fontWeight: 600,
+                  }}
+                >
+                  {loc.status}
+                </span>
+                <strong>{loc.name}</strong> ({loc.radius_km} km)
+                <div style={{ color: "#94a3b8" }}>
+                  🎈 {loc.counts.balloons_inside} inside
+                  {loc.balloons_approaching.length > 0 &&
+                    ` · ${loc.counts.balloons_approaching} approaching (first in ${loc.balloons_approaching[0].eta_hours} h)`}
+                  {" · "}🔥 {loc.counts.fires_inside} inside
+                  {loc.counts.fires_approaching > 0 && ` · ${loc.counts.fires_approaching} approaching`}
+                  {loc.smoke && " · smoke overhead"}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ fontSize: "0.8rem", color: "#cbd5e1", marginBottom: "1.5rem" }}>
+          <label style={{ cursor: "pointer" }}>
+            <input type="checkbox" checked={overview} onChange={(e) => setOverview(e.target.checked)} /> Overview of all
+            balloons
+          </label>
+          {showOverview && (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: "0.75rem", marginTop: "0.5rem" }}>
+              {PROXIMITY_LEGEND.map((l) => (
+                <span key={l.label} style={{ display: "flex", alignItems: "center", gap: "0.3rem" }}>
+                  <span style={{ width: 10, height: 10, borderRadius: "50%", backgroundColor: l.color }} />
+                  {l.label}
+                </span>
+              ))}
+              {viewScene?.viewport && (
+                <span style={{ color: "#94a3b8" }}>
+                  {viewScene.flights.length} of {viewScene.viewport.flights_total} in view
+                </span>
+              )}
+            </div>
+          )}
+          <div style={{ marginTop: "0.5rem" }}>
+            <label style={{ cursor: "pointer" }}>
+              <input type="checkbox" checked={showPlumes} onChange={(e) => setShowPlumes(e.target.checked)} /> Smoke
+              plumes ({plumes.length})
+            </label>
+          </div>
+          <div style={{ marginTop: "0.5rem" }}>
+            <label style={{ cursor: "pointer" }}>
+              <input type="checkbox" checked={showWinds} onChange={(e) => setShowWinds(e.target.checked)} /> Winds
+              measured by balloons
+            </label>
+            {showWinds && winds && (
+              <select
+                value={windBand || winds.altitude_band}
+                onChange={(e) => setWindBand(e.target.value)}
+                style={{ marginLeft: "0.5rem", fontSize: "0.75rem" }}
+              >
+                {winds.bands.map((b) => (
+                  <option key={b.id} value={b.id}>
+                    {b.max_km != null ? `${b.min_km}–${b.max_km}` : `${b.min_km}+`} km ({b.samples})
+                  </option>
+                ))}
+                <option value="all">All altitudes</option>
+              </select>
+            )}
+          </div>
+          {showWinds && winds && (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: "0.75rem", marginTop: "0.5rem" }}>
+              {WIND_LEGEND.map((l) => (
+                <span key={l.label} style={{ display: "flex", alignItems: "center", gap: "0.3rem" }}>
+                  <span style={{ width: 12, height: 3, backgroundColor: l.color }} />
+                  {l.label}
+                </span>
+              ))}
+              <span style={{ color: "#94a3b8" }}>
+                {winds.samples.length} samples
+                {winds.window && `, ${winds.window.hours} h to ${new Date(winds.window.to).toLocaleTimeString()}`}
+              </span>
+            </div>
+          )}
         </div>
 
         <div
@@ -210,33 +768,109 @@ function App() {
             ID
           </button>
           <button
-            onClick={() => setSortBy("fire")}
+            onClick={() => setSortBy("risk")}
             style={{
               fontSize: "0.75rem",
               padding: "0.5rem 0.75rem",
               borderRadius: "6px",
-              border: sortBy === "fire" ? "2px solid #f97316" : "1px solid #475569",
-              backgroundColor: sortBy === "fire" ? "rgba(249, 115, 22, 0.15)" : "transparent",
-              color: sortBy === "fire" ? "#fbbf24" : "#cbd5e1",
+              border: sortBy === "risk" ? "2px solid #f97316" : "1px solid #475569",
+              backgroundColor: sortBy === "risk" ? "rgba(249, 115, 22, 0.15)" : "transparent",
+              color: sortBy === "risk" ? "#fbbf24" : "#cbd5e1",
               cursor: "pointer",
               fontWeight: 500,
               transition: "all 0.2s ease",
             }}
             onMouseEnter={(e) => {
-              if (sortBy !== "fire") {
+              if (sortBy !== "risk") {
                 e.target.style.borderColor = "#f97316"
                 e.target.style.backgroundColor = "rgba(249, 115, 22, 0.08)"
               }
             }}
             onMouseLeave={(e) => {
-              if (sortBy !== "fire") {
+              if (sortBy !== "risk") {
                 e.target.style.borderColor = "#475569"
                 e.target.style.backgroundColor = "transparent"
               }
             }}
           >
-            Proximity
+            Risk
           </button>
+          {flightRegions.length > 0 && (
+            <select
+              value={regionFilter}
+              onChange={(e) => setRegionFilter(e.target.value)}
+              style={{ fontSize: "0.75rem", maxWidth: "10rem" }}
+            >
+              <option value="">All regions</option>
+              {flightRegions.map(({ region, count }) => (
+                <option key={region.id} value={region.id}>
+                  {region.label} ({count})
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        <div style={{ fontSize: "0.8rem", marginBottom: "1rem" }}>
+          <button
+            onClick={() => setShowReport((v) => !v)}
+            style={{
+              fontSize: "0.75rem",
+              padding: "0.5rem 0.75rem",
+              borderRadius: "6px",
+              border: showReport ? "2px solid #f97316" : "1px solid #475569",
+              backgroundColor: showReport ? "rgba(249, 115, 22, 0.15)" : "transparent",
+              color: showReport ? "#fbbf24" : "#cbd5e1",
+              cursor: "pointer",
+              fontWeight: 500,
+            }}
+          >
+            📊 Fire influence report
+          </button>
+        </div>
+
+        <details style={{ fontSize: "0.8rem", marginBottom: "1.5rem", color: "#cbd5e1" }}>
+          <summary style={{ cursor: "pointer", color: "#fbbf24", fontWeight: 500 }}>⬇ Download data</summary>
+          <div style={{ display: "grid", gridTemplateColumns: "auto 1fr", gap: "0.4rem 0.75rem", marginTop: "0.5rem" }}>
+            <span>Flights</span>
+            <span>
+              {["geojson", "kml", "csv"].map((ext, i) => (
+                <span key={ext}>
+                  {i > 0 && " · "}
+                  <a href={`/api/export/flights.${ext}`} download style={{ color: "#f97316" }}>
+                    {ext.toUpperCase()}
+                  </a>
+                </span>
+              ))}
+            </span>
+            <span>Fires</span>
+            <span>
+              {["geojson", "kml", "csv"].map((ext, i) => (
+                <span key={ext}>
+                  {i > 0 && " · "}
+                  <a href={`/api/export/fires.${ext}`} download style={{ color: "#f97316" }}>
+                    {ext.toUpperCase()}
+                  </a>
+                </span>
+              ))}
+            </span>
+            {selected && (
+              <>
+                <span>{selected.id}</span>
+                <a
+                  href={`/api/flights/${encodeURIComponent(selected.id)}/track.gpx`}
+                  download
+                  style={{ color: "#f97316" }}
+                >
+                  GPX track
+                </a>
+              </>
+            )}
+          </div>
+        </details>
+
+        <div style={{ fontSize: "0.75rem", color: "#94a3b8", marginBottom: "0.5rem" }}>
+          Tick or shift-click balloons to compare them
         </div>
 
         <ul
@@ -253,7 +887,7 @@ function App() {
           {sortedFlights.map((f) => (
             <li
               key={f.id}
-              onClick={() => setSelectedId(f.id)}
+              onClick={(e) => (e.shiftKey ? toggleCompare(f.id) : setSelectedId(f.id))}
               style={{
                 marginBottom: "0.75rem",
                 padding: "1rem",
@@ -290,8 +924,21 @@ function App() {
                   marginBottom: "0.35rem",
                 }}
               >
+                <input
+                  type="checkbox"
+                  title="Compare"
+                  checked={compareIds.includes(f.id)}
+                  onClick={(e) => e.stopPropagation()}
+                  onChange={() => toggleCompare(f.id)}
+                  style={{ marginRight: "0.5rem", accentColor: compared.find((c) => c.flight.id === f.id)?.color }}
+                />
                 {f.id}
               </div>
+              {f.latest.region && (
+                <div style={{ fontSize: "0.8rem", color: "#cbd5e1", marginBottom: "0.35rem" }}>
+                  over {f.latest.region.label}
+                </div>
+              )}
               <div
                 style={{
                   fontSize: "0.8rem",
@@ -300,6 +947,20 @@ function App() {
                 }}
               >
                 Points: {f.track.length}
+                {f.risk && (
+                  <span
+                    style={{
+                      marginLeft: "0.5rem",
+                      padding: "0.1rem 0.45rem",
+                      borderRadius: "999px",
+                      backgroundColor: RISK_COLORS[f.risk.level],
+                      color: "#0f172a",
+                      fontWeight: 600,
+                    }}
+                  >
+                    Risk {f.risk.score.toFixed(0)} · {f.risk.level}
+                  </span>
+                )}
               </div>
               {f.fire_summary?.min_distance_km != null && (
                 <div
@@ -322,6 +983,11 @@ function App() {
                   </span>
                 </div>
               )}
+              {f.predicted_fire_encounters?.length > 0 && (
+                <div style={{ fontSize: "0.8rem", marginTop: "0.35rem", color: "#c084fc" }}>
+                  ⚠️ Forecast reaches a fire in {f.predicted_fire_encounters[0].eta_hours.toFixed(1)} h
+                </div>
+              )}
             </li>
           ))}
         </ul>
@@ -330,52 +996,231 @@ function App() {
       {/* Main content */}
       <main style={{ flex: 1, display: "flex", flexDirection: "column" }}>
         {/* Map */}
-        <div style={{ flex: 1, minHeight: "50vh" }}>
-          <MapContainer center={mapCenter} zoom={4} scrollWheelZoom={true} style={{ width: "100%", height: "100%" }}>
+        <div style={{ flex: 1, minHeight: "50vh", position: "relative" }}>
+          {compared.length > 0 && (
+            <div
+              style={{
+                position: "absolute",
+                top: 10,
+                right: 10,
+                zIndex: 1000,
+                padding: "0.4rem 0.6rem",
+                borderRadius: "6px",
+                backgroundColor: "rgba(255, 255, 255, 0.9)",
+                fontSize: "0.75rem",
+              }}
+            >
+              {compared.map((c) => (
+                <div key={c.flight.id} style={{ display: "flex", alignItems: "center", gap: "0.4rem" }}>
+                  <span style={{ width: 16, height: 3, backgroundColor: c.color }} />
+                  {c.flight.id}
+                </div>
+              ))}
+            </div>
+          )}
+          <MapContainer
+            center={mapCenter}
+            zoom={4}
+            scrollWheelZoom={true}
+            preferCanvas={true}
+            style={{ width: "100%", height: "100%" }}
+          >
             <TileLayer
               attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
               url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
             />
 
+            {showWinds && winds && <WindField winds={winds} />}
+
             {/* Auto-fit map to selected track */}
-            {trackPositions.length > 0 && <FitToTrack positions={trackPositions} />}
+            {trackPositions.length > 0 && <FitToTrack trackId={selected.id} positions={trackPositions} />}
+
+            {/* Overview: latest positions, clustered; replaced by playback while scrubbing */}
+            {showOverview && (
+              <BalloonOverview
+                flights={overviewFlights}
+                selectedId={selected?.id}
+                onSelect={setSelectedId}
+                onViewChange={setView}
+              />
+            )}
 
-            {/* Selected balloon track + animated balloon */}
+            {/* Every balloon at the timeline position, trails fading with age */}
+            {!showOverview &&
+              balloonsNow.map(({ flight, position, trail }) => (
+                <Fragment key={flight.id}>
+                  {trail.map(
+                    (run, i) =>
+                      run.length > 1 && (
+                        <Polyline
+                          key={i}
+                          positions={run}
+                          pathOptions={{ color: "#0ea5e9", weight: 2, opacity: TRAIL_OPACITY[i] }}
+                        />
+                      )
+                  )}
+                  {flight.id !== selected?.id && (
+                    <CircleMarker
+                      center={[position.lat, position.lon]}
+                      radius={4}
+                      pathOptions={{ color: "#0369a1", weight: 1, fillColor: "#38bdf8", fillOpacity: 0.9 }}
+                      eventHandlers={{ click: () => setSelectedId(flight.id) }}
+                    />
+                  )}
+                </Fragment>
+              ))}
+
+            {/* Selected balloon track + balloon at the timeline position */}
             {trackPositions.length > 0 && (
               <>
-                <Polyline positions={trackPositions} />
-                <Marker position={trackPositions[animIndex]} icon={balloonIcon}>
-                  <Popup>
-                    <div style={{ fontSize: "0.75rem" }}>
-                      <strong>{selected.id}</strong>
-                      <div>
-                        Lat: {trackPositions[animIndex][0].toFixed(3)}, Lon: {trackPositions[animIndex][1].toFixed(3)}
+                <Polyline positions={trackPositions} pathOptions={{ opacity: 0.35 }} />
+                {selected.forecast && (
+                  <>
+                    <Polygon
+                      positions={selected.forecast.cone}
+                      pathOptions={{ color: "#a855f7", weight: 1, fillOpacity: 0.12 }}
+                    />
+                    <Polyline
+                      positions={forecastPositions}
+                      pathOptions={{ color: "#a855f7", weight: 3, dashArray: "8 8" }}
+                    />
+                  </>
+                )}
+                {selectedNow && (
+                  <Marker position={[selectedNow.lat, selectedNow.lon]} icon={balloonIcon}>
+                    <Popup>
+                      <div style={{ fontSize: "0.75rem" }}>
+                        <strong>{selected.id}</strong>
+                        <div>
+                          Lat: {selectedNow.lat.toFixed(3)}, Lon: {selectedNow.lon.toFixed(3)}
+                        </div>
+                        {selectedNow.altitude != null && <div>Alt: {selectedNow.altitude.toFixed(1)} km</div>}
                       </div>
-                    </div>
-                  </Popup>
-                </Marker>
+                    </Popup>
+                  </Marker>
+                )}
               </>
             )}
 
-            {/* Fires as fire-emoji markers */}
-            {fires.map((fire, idx) => (
-              <Marker key={idx} position={[fire.lat, fire.lon]} icon={fireIcon}>
-                <Popup>
-                  <div style={{ fontSize: "0.75rem" }}>
-                    <div>
-                      <strong>Fire hotspot</strong>
-                    </div>
-                    {fire.acq_date && <div>Date: {fire.acq_date}</div>}
-                    {fire.acq_time && <div>Time: {fire.acq_time}</div>}
-                    {fire.brightness && <div>Brightness: {fire.brightness}</div>}
-                    {fire.confidence && <div>Confidence: {fire.confidence}</div>}
-                  </div>
-                </Popup>
+            {/* Balloons being compared, one colour each */}
+            {compared.map(({ flight, color }) => {
+              const now = playTime != null ? positionAt(flight.track, currentTime) : flight.latest
+              return (
+                <Fragment key={flight.id}>
+                  <Polyline positions={flight.track.map((p) => [p.lat, p.lon])} pathOptions={{ color, weight: 3 }} />
+                  {now && (
+                    <CircleMarker
+                      center={[now.lat, now.lon]}
+                      radius={6}
+                      pathOptions={{ color: "#fff", weight: 2, fillColor: color, fillOpacity: 1 }}
+                      eventHandlers={{ click: () => setSelectedId(flight.id) }}
+                    >
+                      <Tooltip>{flight.id}</Tooltip>
+                    </CircleMarker>
+                  )}
+                </Fragment>
+              )
+            })}
+
+            {/* Watch locations with their radius rings */}
+            {watchLocations.map((loc) => (
+              <Circle
+                key={loc.id}
+                center={[loc.lat, loc.lon]}
+                radius={loc.radius_km * 1000}
+                pathOptions={{
+                  color: WATCH_STATUS_COLORS[loc.status],
+                  weight: 2,
+                  dashArray: loc.status === "clear" ? "6 6" : null,
+                  fillOpacity: 0.05,
+                }}
+              >
+                <Tooltip>
+                  📍 {loc.name} · {loc.status} · {loc.counts.balloons_inside} balloons, {loc.counts.fires_inside} fires
+                  inside
+                </Tooltip>
+              </Circle>
+            ))}
+
+            {/* Downwind smoke corridors, under the fires they come from */}
+            {showPlumes &&
+              plumesNow.map((plume) => (
+                <Polygon
+                  key={plume.id}
+                  positions={plume.corridor}
+                  pathOptions={{ color: "#78716c", weight: 1, opacity: 0.5, fillColor: "#a8a29e", fillOpacity: 0.2 }}
+                >
+                  <Tooltip sticky>
+                    Smoke plume · wind {plume.wind.speed_kmh.toFixed(0)} km/h from {plume.wind.direction_deg.toFixed(0)}°
+                    ({plume.wind.samples} balloon samples) · {plume.length_km.toFixed(0)} km
+                  </Tooltip>
+                </Polygon>
+              ))}
+
+            {/* Fire events as perimeters, one 🔥 per event instead of per pixel */}
+            {firesNow.events.map((event) => (
+              <Polygon
+                key={event.id}
+                positions={event.perimeter}
+                pathOptions={{
+                  color: event.near_flights?.length ? "#e11d48" : "#dc2626",
+                  weight: event.near_flights?.length ? 3 : 1,
+                  fillColor: fireStatusColor(event.status),
+                  fillOpacity: 0.35,
+                }}
+              >
+                <FireEventPopup event={event} />
+              </Polygon>
+            ))}
+            {firesNow.hotspots.map((fire) => (
+              <CircleMarker
+                key={fire.id}
+                center={[fire.lat, fire.lon]}
+                radius={3}
+                pathOptions={{ color: "#dc2626", weight: 1, fillColor: "#f97316", fillOpacity: 0.8 }}
+              />
+            ))}
+            {[...firesNow.events, ...firesNow.partial].map((event) => (
+              <Marker key={event.id} position={[event.centroid.lat, event.centroid.lon]} icon={fireIcon}>
+                <FireEventPopup event={event} />
               </Marker>
             ))}
           </MapContainer>
         </div>
 
+        {timeRange && (
+          <Timeline
+            range={timeRange}
+            time={playTime}
+            playing={playing}
+            speed={speed}
+            onTimeChange={scrubTo}
+            onTogglePlay={togglePlay}
+            onSpeedChange={setSpeed}
+          />
+        )}
+
+        {/* How balloons move near fires compared with elsewhere */}
+        {showReport && (
+          <div
+            style={{
+              borderTop: "1px solid #eee",
+              padding: "0.75rem 1rem",
+              fontSize: "0.8rem",
+              maxHeight: "40vh",
+              overflowY: "auto",
+            }}
+          >
+            <FireInfluenceReport
+              report={report}
+              baseline={reportBaseline}
+              onBaselineChange={setReportBaseline}
+              onSelectFlight={setSelectedId}
+              onClose={() => setShowReport(false)}
+            />
+          </div>
+        )}
+
         {/* Selected balloon details */}
         <div
           style={{
@@ -386,11 +1231,98 @@ function App() {
             overflowY: "auto",
           }}
         >
+          {comparison.length > 0 && (
+            <div style={{ marginBottom: "0.75rem" }}>
+              <div style={{ display: "flex", alignItems: "center", gap: "0.75rem", marginBottom: "0.25rem" }}>
+                <strong>Comparing {comparison.length} balloons</strong>
+                <button onClick={() => setCompareIds([])} style={{ fontSize: "0.75rem", cursor: "pointer" }}>
+                  Clear
+                </button>
+              </div>
+              <table style={{ borderCollapse: "collapse" }}>
+                <thead>
+                  <tr style={{ color: "#555", textAlign: "left" }}>
+                    <th style={{ padding: "0.2rem 0.5rem" }}>Balloon</th>
+                    <th style={{ padding: "0.2rem 0.5rem" }}>Distance</th>
+                    <th style={{ padding: "0.2rem 0.5rem" }}>Altitude range</th>
+                    <th style={{ padding: "0.2rem 0.5rem" }}>Closest fire approach</th>
+                    <th style={{ padding: "0.2rem 0.5rem" }}>Time near fires</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.map((row) => (
+                    <tr
+                      key={row.id}
+                      onClick={() => setSelectedId(row.id)}
+                      style={{ cursor: "pointer", fontWeight: row.id === selected.id ? 600 : 400 }}
+                    >
+                      <td style={{ padding: "0.2rem 0.5rem" }}>
+                        <span
+                          style={{
+                            display: "inline-block",
+                            width: 10,
+                            height: 10,
+                            marginRight: "0.4rem",
+                            backgroundColor: row.color,
+                          }}
+                        />
+                        {row.id}
+                      </td>
+                      <td style={{ padding: "0.2rem 0.5rem" }}>
+                        {row.distanceKm.toFixed(0)} km in {row.hours.toFixed(0)} h
+                      </td>
+                      <td style={{ padding: "0.2rem 0.5rem" }}>
+                        {row.minAltitude != null
+                          ? `${row.minAltitude.toFixed(1)}–${row.maxAltitude.toFixed(1)} km`
+                          : "–"}
+                      </td>
+                      <td style={{ padding: "0.2rem 0.5rem" }}>
+                        {row.closestApproach
+                          ? `${row.closestApproach.distance_km.toFixed(1)} km, ${new Date(row.closestApproach.timestamp).toLocaleString()}`
+                          : "no fires"}
+                      </td>
+                      <td style={{ padding: "0.2rem 0.5rem" }}>
+                        {Object.entries(row.hoursWithinKm)
+                          .map(([km, h]) => `${h.toFixed(1)} h < ${km} km`)
+                          .join(" · ") || "–"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           <h2 style={{ margin: 0, marginBottom: "0.5rem", fontSize: "1rem" }}>{selected.id} details</h2>
           <div style={{ marginBottom: "0.5rem", color: "#555" }}>
             Latest position: lat {selected.latest.lat.toFixed(3)}, lon {selected.latest.lon.toFixed(3)}{" "}
-            {selected.latest.altitude != null && `(alt ${selected.latest.altitude.toFixed(1)}m)`}
+            {selected.latest.altitude != null && `(alt ${selected.latest.altitude.toFixed(1)} km)`}
           </div>
+          {selected.association?.confidence != null && (
+            <div style={{ marginBottom: "0.5rem", color: "#555" }}>
+              Track confidence: {(selected.association.confidence * 100).toFixed(0)}% ({selected.association.links}{" "}
+              links{selected.association.gaps > 0 && `, ${selected.association.gaps} missed hours`}
+              {selected.association.status === "lost" && ", lost"})
+            </div>
+          )}
+          {selected.risk && (
+            <div style={{ marginBottom: "0.5rem" }}>
+              <strong>Risk:</strong>{" "}
+              <span style={{ color: RISK_COLORS[selected.risk.level], fontWeight: 600 }}>
+                {selected.risk.score.toFixed(1)} ({selected.risk.level})
+              </span>
+              {selected.risk.drivers.length > 0 ? ` — ${selected.risk.drivers.join(", ")}` : " — no fires in reach"}
+              {selected.risk.factors && (
+                <div style={{ color: "#555" }}>
+                  Proximity {selected.risk.factors.proximity.points} pts · approach{" "}
+                  {selected.risk.factors.approach.points} pts · fire intensity ×
+                  {selected.risk.factors.intensity.multiplier} · altitude ×{selected.risk.factors.altitude.multiplier}
+                  {selected.risk.cpa.hours > 0 &&
+                    ` · CPA ${selected.risk.cpa.distance_km.toFixed(1)} km at ${new Date(selected.risk.cpa.timestamp).toLocaleTimeString()}`}
+                </div>
+              )}
+            </div>
+          )}
           {selected.fire_summary && (
             <div style={{ marginBottom: "0.5rem" }}>
               <strong>Fire proximity:</strong>{" "}
@@ -399,6 +1331,70 @@ function App() {
                 : "No fires found in region"}
             </div>
           )}
+          {selected.fire_summary?.closest_event && (
+            <div style={{ marginBottom: "0.5rem" }}>
+              <strong>Nearest fire event:</strong> {selected.fire_summary.closest_event.distance_km.toFixed(1)} km (
+              {selected.fire_summary.closest_event.detections} detections)
+              {selected.fire_summary.events_encountered?.length > 0 &&
+                ` · ${selected.fire_summary.events_encountered.length} events passed along the track`}
+            </div>
+          )}
+          {selected.fire_summary?.closest_approach && (
+            <div style={{ marginBottom: "0.5rem" }}>
+              <strong>Closest approach:</strong> {selected.fire_summary.closest_approach.distance_km.toFixed(1)} km at{" "}
+              {new Date(selected.fire_summary.closest_approach.timestamp).toLocaleString()}
+            </div>
+          )}
+          {selected.plume_exposure && (
+            <div style={{ marginBottom: "0.5rem" }}>
+              <strong>Smoke exposure:</strong>{" "}
+              {selected.plume_exposure.peak
+                ? `${selected.plume_exposure.hours_exposed.toFixed(1)} h in plumes, score ${selected.plume_exposure.score.toFixed(2)} · peak ${(selected.plume_exposure.peak.intensity * 100).toFixed(0)}% of source at ${new Date(selected.plume_exposure.peak.timestamp).toLocaleString()}`
+                : "never passed through a plume"}
+            </div>
+          )}
+          {selected.fire_summary?.hours_within_km && (
+            <div style={{ marginBottom: "0.5rem" }}>
+              <strong>Time near fires:</strong>{" "}
+              {Object.entries(selected.fire_summary.hours_within_km)
+                .map(([radius, hours]) => `${hours.toFixed(1)} h within ${radius} km`)
+                .join(" · ")}
+              {selected.fire_summary.fires_encountered_count > 0 &&
+                ` (${selected.fire_summary.fires_encountered_count} fires encountered)`}
+            </div>
+          )}
+
+          {selected.forecast && (
+            <div style={{ marginBottom: "0.5rem" }}>
+              <strong>Forecast:</strong> heading {selected.forecast.heading_deg.toFixed(0)}° at{" "}
+              {selected.forecast.speed_kmh.toFixed(1)} km/h, climbing {selected.forecast.climb_rate_m_per_h.toFixed(0)} m/h
+              {selected.predicted_fire_encounters?.length > 0 ? (
+                <ul style={{ margin: "0.25rem 0 0", paddingLeft: "1.25rem" }}>
+                  {selected.predicted_fire_encounters.slice(0, 5).map((e, i) => (
+                    <li key={i}>
+                      Fire at {e.fire.lat.toFixed(2)}, {e.fire.lon.toFixed(2)} in ~{e.eta_hours.toFixed(1)} h (
+                      {e.distance_from_track_km.toFixed(1)} km off the predicted path)
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <span> — no fires inside the forecast cone</span>
+              )}
+            </div>
+          )}
+
+          {selected.track.length > 1 && (
+            <div style={{ marginBottom: "0.5rem" }}>
+              <strong>Profile</strong>
+              {hoverPoint && <span style={{ color: "#555" }}> · {new Date(hoverPoint.timestamp).toLocaleString()}</span>}
+              <ProfileCharts
+                track={selected.track}
+                radiiKm={Object.keys(selected.fire_summary?.hours_within_km ?? {}).map(Number)}
+                hoverIndex={hoverIndex >= 0 ? hoverIndex : null}
+                onHover={(i) => setHoverTimestamp(i == null ? null : selected.track[i].timestamp)}
+              />
+            </div>
+          )}
 
           <details>
             <summary>Raw track (oldest → newest)</summary>
@@ -406,7 +1402,7 @@ function App() {
               {selected.track.map((p, i) => (
                 <div key={i}>
                   {p.timestamp} — lat {p.lat.toFixed(3)}, lon {p.lon.toFixed(3)}{" "}
-                  {p.altitude != null && `alt ${p.altitude.toFixed(1)}m`}
+                  {p.altitude != null && `alt ${p.altitude.toFixed(1)} km`}
                 </div>
               ))}
             </div>
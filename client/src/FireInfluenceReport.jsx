@@ -0,0 +1,146 @@
+// Fire influence report (/api/analysis/fire-influence): near-fire track
+// segments against baseline segments, with effect sizes and case studies.
+
+const METRIC_LABELS = {
+  vertical_rate: "Vertical rate (m/h)",
+  speed_kmh: "Ground speed (km/h)",
+  turn_rate_deg_per_h: "Turn rate (°/h)",
+}
+
+const fmt = (v, digits = 2) => (v == null ? "–" : v.toFixed(digits))
+
+// Cohen's conventional thresholds
+function effectLabel(d) {
+  if (d == null) return "too few samples"
+  const size = Math.abs(d)
+  if (size < 0.2) return "negligible"
+  if (size < 0.5) return "small"
+  if (size < 0.8) return "medium"
+  return "large"
+}
+
+const cell = { padding: "0.2rem 0.5rem", textAlign: "right" }
+const head = { ...cell, color: "#555", fontWeight: 600 }
+
+function FireInfluenceReport({ report, baseline, onBaselineChange, onSelectFlight, onClose }) {
+  return (
+    <div>
+      <div style={{ display: "flex", alignItems: "center", gap: "0.75rem", marginBottom: "0.5rem" }}>
+        <h2 style={{ margin: 0, fontSize: "1rem" }}>Fire influence on balloon motion</h2>
+        <select value={baseline} onChange={(e) => onBaselineChange(e.target.value)} style={{ fontSize: "0.75rem" }}>
+          <option value="band">Baseline: same altitude band</option>
+          <option value="flight">Baseline: same flight</option>
+        </select>
+        <button onClick={onClose} style={{ marginLeft: "auto", fontSize: "0.75rem", cursor: "pointer" }}>
+          Close
+        </button>
+      </div>
+
+      {!report ? (
+        <div style={{ color: "#555" }}>Loading report…</div>
+      ) : (
+        <>
+          <div style={{ color: "#555", marginBottom: "0.5rem" }}>
+            {report.segments.near} segments within {report.parameters.near_km} km of a fire (
+            {report.segments.flights_near} flights) against {report.segments.baseline} segments farther than{" "}
+            {report.parameters.baseline_km} km, of {report.segments.total} in total.
+          </div>
+
+          <table style={{ borderCollapse: "collapse", marginBottom: "0.75rem" }}>
+            <thead>
+              <tr>
+                <th style={{ ...head, textAlign: "left" }}>Metric</th>
+                <th style={head}>Near (n)</th>
+                <th style={head}>Baseline (n)</th>
+                <th style={head}>Difference</th>
+                <th style={head}>Cohen&apos;s d</th>
+                <th style={head}>Welch t (df)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(report.overall).map(([name, m]) => (
+                <tr key={name}>
+                  <td style={{ ...cell, textAlign: "left" }}>{METRIC_LABELS[name] ?? name}</td>
+                  <td style={cell}>
+                    {fmt(m.near.mean)} ({m.near.n})
+                  </td>
+                  <td style={cell}>
+                    {fmt(m.baseline.mean)} ({m.baseline.n})
+                  </td>
+                  <td style={cell}>{fmt(m.difference)}</td>
+                  <td style={cell}>
+                    {fmt(m.cohens_d)} <span style={{ color: "#555" }}>{effectLabel(m.cohens_d)}</span>
+                  </td>
+                  <td style={cell}>
+                    {fmt(m.welch_t)} ({fmt(m.df, 0)})
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {report.by_band.length > 0 && (
+            <details style={{ marginBottom: "0.75rem" }}>
+              <summary>By altitude band (Cohen&apos;s d, near n / baseline n)</summary>
+              <table style={{ borderCollapse: "collapse", marginTop: "0.25rem" }}>
+                <thead>
+                  <tr>
+                    <th style={{ ...head, textAlign: "left" }}>Band (km)</th>
+                    {Object.keys(report.overall).map((name) => (
+                      <th key={name} style={head}>
+                        {METRIC_LABELS[name] ?? name}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.by_band.map((b) => (
+                    <tr key={b.altitude_band}>
+                      <td style={{ ...cell, textAlign: "left" }}>{b.altitude_band}</td>
+                      {Object.entries(b.metrics).map(([name, m]) => (
+                        <td key={name} style={cell}>
+                          {fmt(m.cohens_d)} ({m.near.n} / {m.baseline.n})
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </details>
+          )}
+
+          <strong>
+            Encounters ({report.cases.length}
+            {report.cases_total > report.cases.length && ` of ${report.cases_total}`}, closest first)
+          </strong>
+          {report.cases.length === 0 && <div style={{ color: "#555" }}>No track passed this close to a fire.</div>}
+          {report.cases.map((c) => (
+            <div
+              key={`${c.flight_id}:${c.start}`}
+              onClick={() => onSelectFlight(c.flight_id)}
+              style={{ marginTop: "0.35rem", cursor: "pointer" }}
+            >
+              <span style={{ fontWeight: 600 }}>{c.flight_id}</span> · {fmt(c.min_distance_km, 1)} km from a fire ·{" "}
+              {new Date(c.start).toLocaleString()} for {c.hours} h
+              <div style={{ color: "#555" }}>
+                {Object.entries(c.metrics)
+                  .map(([name, m]) => `${METRIC_LABELS[name] ?? name} ${fmt(m.during)} vs ${fmt(m.baseline)}`)
+                  .join(" · ")}
+                {c.altitude_change != null && ` · altitude change ${fmt(c.altitude_change)} km`}
+                {c.baseline_segments === 0 && " · no baseline segments on this flight"}
+              </div>
+            </div>
+          ))}
+
+          <ul style={{ color: "#555", marginTop: "0.75rem", paddingLeft: "1rem" }}>
+            {report.notes.map((note) => (
+              <li key={note}>{note}</li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default FireInfluenceReport
@@ -0,0 +1,186 @@
+// Altitude, speed, vertical rate and fire distance over time for one track,
+// with the time spent near fires shaded. Hovering reports the point index.
+
+const WIDTH = 600
+const HEIGHT = 78
+const MARGIN = { left: 48, right: 8, top: 14, bottom: 4 }
+const AXIS_HEIGHT = 16
+
+const CHARTS = [
+  { key: "altitude", label: "Altitude (km)", color: "#2563eb" },
+  { key: "speed_kmh", label: "Ground speed (km/h)", color: "#0d9488" },
+  { key: "climb_rate_m_per_h", label: "Vertical rate (m/h)", color: "#7c3aed", zeroLine: true },
+  { key: "nearest_fire_km", label: "Nearest fire (km)", color: "#dc2626" },
+]
+
+const formatValue = (v) => (Math.abs(v) >= 100 ? v.toFixed(0) : Math.abs(v) >= 10 ? v.toFixed(1) : v.toFixed(2))
+
+const formatTime = (t) =>
+  new Date(t).toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" })
+
+// Runs of consecutive points within `radiusKm` of a fire, as [first, last] indices
+function fireWindows(track, radiusKm) {
+  const windows = []
+  let start = null
+  track.forEach((p, i) => {
+    const inside = p.nearest_fire_km != null && p.nearest_fire_km <= radiusKm
+    if (inside && start == null) start = i
+    if (!inside && start != null) {
+      windows.push([start, i - 1])
+      start = null
+    }
+  })
+  if (start != null) windows.push([start, track.length - 1])
+  return windows
+}
+
+function Chart({ track, times, x, chart, radiiKm, hoverIndex, showAxis }) {
+  const values = track.map((p) => (typeof p[chart.key] === "number" ? p[chart.key] : null))
+  const present = values.filter((v) => v != null)
+  const height = HEIGHT + (showAxis ? AXIS_HEIGHT : 0)
+  const plotBottom = HEIGHT - MARGIN.bottom
+
+  if (!present.length) {
+    return (
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} width="100%" style={{ display: "block" }}>
+        <text x={MARGIN.left} y={MARGIN.top - 3} fontSize="10" fill="#334155">
+          {chart.label}: no data
+        </text>
+      </svg>
+    )
+  }
+
+  let min = Math.min(...present, chart.zeroLine ? 0 : Infinity)
+  let max = Math.max(...present, chart.zeroLine ? 0 : -Infinity)
+  if (min === max) {
+    min -= 1
+    max += 1
+  }
+  const y = (v) => MARGIN.top + ((max - v) / (max - min)) * (plotBottom - MARGIN.top)
+
+  // Break the line where a value is missing
+  let path = ""
+  let penDown = false
+  values.forEach((v, i) => {
+    if (v == null) {
+      penDown = false
+      return
+    }
+    path += `${penDown ? "L" : "M"}${x(times[i]).toFixed(1)},${y(v).toFixed(1)}`
+    penDown = true
+  })
+
+  const hover = hoverIndex != null ? values[hoverIndex] : null
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${height}`} width="100%" style={{ display: "block", pointerEvents: "none" }}>
+      {/* Closer radii stack on top of wider ones, so they read darker */}
+      {[...radiiKm]
+        .sort((a, b) => b - a)
+        .flatMap((r) =>
+          fireWindows(track, r).map(([first, last]) => (
+            <rect
+              key={`${r}-${first}`}
+              x={x(times[first]) - 1}
+              width={Math.max(x(times[last]) - x(times[first]), 0) + 2}
+              y={MARGIN.top}
+              height={plotBottom - MARGIN.top}
+              fill="#f97316"
+              opacity={0.12}
+            />
+          ))
+        )}
+
+      <text x={MARGIN.left} y={MARGIN.top - 3} fontSize="10" fill="#334155">
+        {chart.label}
+        {hover != null && `: ${formatValue(hover)}`}
+      </text>
+      <text x={MARGIN.left - 4} y={MARGIN.top + 8} fontSize="9" fill="#64748b" textAnchor="end">
+        {formatValue(max)}
+      </text>
+      <text x={MARGIN.left - 4} y={plotBottom} fontSize="9" fill="#64748b" textAnchor="end">
+        {formatValue(min)}
+      </text>
+      <line x1={MARGIN.left} x2={MARGIN.left} y1={MARGIN.top} y2={plotBottom} stroke="#cbd5e1" />
+      <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={plotBottom} y2={plotBottom} stroke="#cbd5e1" />
+      {chart.zeroLine && min < 0 && max > 0 && (
+        <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(0)} y2={y(0)} stroke="#cbd5e1" strokeDasharray="3 3" />
+      )}
+
+      <path d={path} fill="none" stroke={chart.color} strokeWidth="1.5" />
+
+      {hoverIndex != null && (
+        <>
+          <line
+            x1={x(times[hoverIndex])}
+            x2={x(times[hoverIndex])}
+            y1={MARGIN.top}
+            y2={plotBottom}
+            stroke="#0f172a"
+            strokeWidth="0.75"
+          />
+          {hover != null && <circle cx={x(times[hoverIndex])} cy={y(hover)} r="3" fill={chart.color} />}
+        </>
+      )}
+
+      {showAxis &&
+        [0, 0.5, 1].map((k) => {
+          const t = times[0] + (times[times.length - 1] - times[0]) * k
+          return (
+            <text
+              key={k}
+              x={x(t)}
+              y={HEIGHT + AXIS_HEIGHT - 4}
+              fontSize="9"
+              fill="#64748b"
+              textAnchor={k === 0 ? "start" : k === 1 ? "end" : "middle"}
+            >
+              {formatTime(t)}
+            </text>
+          )
+        })}
+    </svg>
+  )
+}
+
+export default function ProfileCharts({ track, radiiKm = [], hoverIndex, onHover }) {
+  if (track.length < 2) return null
+
+  const times = track.map((p) => Date.parse(p.timestamp))
+  const span = times[times.length - 1] - times[0] || 1
+  const x = (t) => MARGIN.left + ((t - times[0]) / span) * (WIDTH - MARGIN.left - MARGIN.right)
+
+  // Nearest point to the pointer, by time
+  const handleMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const px = ((e.clientX - rect.left) / rect.width) * WIDTH
+    const t = times[0] + ((px - MARGIN.left) / (WIDTH - MARGIN.left - MARGIN.right)) * span
+    let best = 0
+    times.forEach((time, i) => {
+      if (Math.abs(time - t) < Math.abs(times[best] - t)) best = i
+    })
+    onHover(best)
+  }
+
+  return (
+    <div onMouseMove={handleMove} onMouseLeave={() => onHover(null)} style={{ cursor: "crosshair" }}>
+      {CHARTS.map((chart, i) => (
+        <Chart
+          key={chart.key}
+          track={track}
+          times={times}
+          x={x}
+          chart={chart}
+          radiiKm={radiiKm}
+          hoverIndex={hoverIndex}
+          showAxis={i === CHARTS.length - 1}
+        />
+      ))}
+      {radiiKm.length > 0 && (
+        <div style={{ fontSize: "0.7rem", color: "#64748b" }}>
+          Shaded: within {[...radiiKm].sort((a, b) => a - b).join(" / ")} km of a fire (darker = closer)
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,42 @@
+// Comparison mode helpers: per-balloon colours and the side-by-side figures
+
+// Distinct track colours, assigned in selection order
+export const COMPARE_COLORS = ["#2563eb", "#db2777", "#16a34a", "#9333ea", "#ea580c", "#0891b2", "#ca8a04", "#64748b"]
+
+export const compareColor = (index) => COMPARE_COLORS[index % COMPARE_COLORS.length]
+
+const HOUR_MS = 3600 * 1000
+
+const toRad = (d) => (d * Math.PI) / 180
+
+function haversineKm(a, b) {
+  const dLat = toRad(b.lat - a.lat)
+  const dLon = toRad(b.lon - a.lon)
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2
+  return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h))
+}
+
+/**
+ * Comparison row for one flight: distance travelled along the track,
+ * altitude range, closest fire approach and hours within each proximity
+ * radius. Tracks arrive downsampled, so the distance is a slight
+ * underestimate.
+ */
+export function compareFlight(flight) {
+  const { track } = flight
+  let distanceKm = 0
+  for (let i = 1; i < track.length; i++) distanceKm += haversineKm(track[i - 1], track[i])
+
+  const altitudes = track.map((p) => p.altitude).filter((a) => typeof a === "number")
+  const span = track.length ? Date.parse(track[track.length - 1].timestamp) - Date.parse(track[0].timestamp) : 0
+
+  return {
+    id: flight.id,
+    distanceKm,
+    hours: span / HOUR_MS,
+    minAltitude: altitudes.length ? Math.min(...altitudes) : null,
+    maxAltitude: altitudes.length ? Math.max(...altitudes) : null,
+    closestApproach: flight.fire_summary?.closest_approach ?? null,
+    hoursWithinKm: flight.fire_summary?.hours_within_km ?? {},
+  }
+}
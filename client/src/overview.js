@@ -0,0 +1,61 @@
+// Overview helpers: proximity, risk, fire and watch-location status colours
+// and screen-space marker clustering
+
+// Balloon colour by distance (km) to the nearest fire
+export const PROXIMITY_LEGEND = [
+  { maxKm: 10, color: "#dc2626", label: "< 10 km" },
+  { maxKm: 50, color: "#f97316", label: "< 50 km" },
+  { maxKm: 100, color: "#fbbf24", label: "< 100 km" },
+  { maxKm: Infinity, color: "#22c55e", label: "farther / no fires" },
+]
+
+export function proximityColor(km) {
+  if (km == null) return PROXIMITY_LEGEND[PROXIMITY_LEGEND.length - 1].color
+  return PROXIMITY_LEGEND.find((l) => km < l.maxKm).color
+}
+
+// Composite risk level colours (server risk.js levels)
+export const RISK_COLORS = { low: "#22c55e", elevated: "#f59e0b", high: "#dc2626" }
+
+// Fire event status colours (server persistence.js statuses)
+export const FIRE_STATUS_LEGEND = [
+  { status: "new", color: "#e11d48", label: "New ignition" },
+  { status: "growing", color: "#f97316", label: "Growing" },
+  { status: "persistent", color: "#b45309", label: "Persistent" },
+  { status: "fading", color: "#78716c", label: "Fading" },
+]
+
+export const fireStatusColor = (status) =>
+  FIRE_STATUS_LEGEND.find((l) => l.status === status)?.color ?? FIRE_STATUS_LEGEND[1].color
+
+// Watch location status colours (server watch.js statuses)
+export const WATCH_STATUS_COLORS = { alert: "#dc2626", watch: "#f59e0b", clear: "#38bdf8" }
+
+/**
+ * Group flights whose latest positions land in the same `cellPx` square
+ * on screen. `project(lat, lon)` → { x, y } in pixels at the current zoom.
+ * Returns [{ lat, lon, flights, minDistanceKm }], centred on the members.
+ */
+export function clusterFlights(flights, project, cellPx = 60) {
+  const cells = new Map()
+  for (const f of flights) {
+    const { x, y } = project(f.latest.lat, f.latest.lon)
+    const key = `${Math.floor(x / cellPx)}:${Math.floor(y / cellPx)}`
+    if (!cells.has(key)) cells.set(key, [])
+    cells.get(key).push(f)
+  }
+
+  return [...cells.values()].map((members) => {
+    const distances = members.map((f) => f.fire_summary?.min_distance_km).filter((d) => d != null)
+    // Average longitudes as offsets from the first member, so a cluster
+    // straddling the dateline is not centred on the far side of the globe
+    const lon0 = members[0].latest.lon
+    const offset = members.reduce((sum, f) => sum + ((((f.latest.lon - lon0 + 180) % 360) + 360) % 360) - 180, 0)
+    return {
+      lat: members.reduce((sum, f) => sum + f.latest.lat, 0) / members.length,
+      lon: lon0 + offset / members.length,
+      flights: members,
+      minDistanceKm: distances.length ? Math.min(...distances) : null,
+    }
+  })
+}
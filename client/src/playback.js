@@ -0,0 +1,89 @@
+// Timeline helpers: interpolate balloons and filter fires at a moment in time
+
+const HOUR_MS = 3600 * 1000
+
+// Time span covered by the loaded tracks, as [start, end] in ms
+export function sceneTimeRange(flights) {
+  let start = Infinity
+  let end = -Infinity
+  for (const f of flights) {
+    if (!f.track.length) continue
+    start = Math.min(start, Date.parse(f.track[0].timestamp))
+    end = Math.max(end, Date.parse(f.track[f.track.length - 1].timestamp))
+  }
+  return Number.isFinite(start) ? [start, end] : null
+}
+
+// Shortest way round for a longitude step, so tracks cross the dateline
+const lonStep = (from, to) => ((((to - from + 180) % 360) + 360) % 360) - 180
+
+/**
+ * Interpolated { lat, lon, altitude } at `time`, or null when the track has
+ * not started yet or ended more than `maxGapHours` before it.
+ */
+export function positionAt(track, time, maxGapHours = 1) {
+  if (!track.length) return null
+  const first = Date.parse(track[0].timestamp)
+  const last = Date.parse(track[track.length - 1].timestamp)
+  if (time < first) return null
+  if (time >= last) {
+    const p = track[track.length - 1]
+    return time - last <= maxGapHours * HOUR_MS ? { lat: p.lat, lon: p.lon, altitude: p.altitude } : null
+  }
+
+  // Binary search for the segment holding `time`
+  let lo = 0
+  let hi = track.length - 1
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1
+    if (Date.parse(track[mid].timestamp) <= time) lo = mid
+    else hi = mid
+  }
+
+  const a = track[lo]
+  const b = track[hi]
+  const ta = Date.parse(a.timestamp)
+  const k = (time - ta) / (Date.parse(b.timestamp) - ta)
+  const lon = a.lon + lonStep(a.lon, b.lon) * k
+  return {
+    lat: a.lat + (b.lat - a.lat) * k,
+    lon: ((((lon + 180) % 360) + 360) % 360) - 180,
+    altitude: a.altitude != null && b.altitude != null ? a.altitude + (b.altitude - a.altitude) * k : a.altitude,
+  }
+}
+
+/**
+ * The track behind `time`, split by age so the map can fade it: one
+ * [[lat, lon], …] run per entry of `ageHours` (newest first), each joined
+ * to the next so the trail has no gaps.
+ */
+export function trailAt(track, time, ageHours = [2, 6, 24]) {
+  const runs = ageHours.map(() => [])
+  const head = positionAt(track, time, 0)
+  let prev = head ? [head.lat, head.lon] : null
+  if (prev) runs[0].push(prev)
+
+  for (let i = track.length - 1; i >= 0; i--) {
+    const p = track[i]
+    const age = (time - Date.parse(p.timestamp)) / HOUR_MS
+    if (age < 0) continue
+    const bucket = ageHours.findIndex((h) => age <= h)
+    if (bucket === -1) break
+
+    // An older run starts where the newer one ended
+    if (!runs[bucket].length && prev) runs[bucket].push(prev)
+    prev = [p.lat, p.lon]
+    runs[bucket].push(prev)
+  }
+  return runs
+}
+
+// When FIRMS acquired a detection (acq_date "YYYY-MM-DD", acq_time "HHMM", UTC)
+export function fireTime(fire) {
+  if (fire.acq_date) {
+    const hhmm = String(fire.acq_time ?? "0").padStart(4, "0")
+    const time = Date.parse(`${fire.acq_date}T${hhmm.slice(0, 2)}:${hhmm.slice(2, 4)}:00Z`)
+    if (!isNaN(time)) return time
+  }
+  return fire.acquired_at ? Date.parse(fire.acquired_at) : null
+}
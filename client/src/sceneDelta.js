@@ -0,0 +1,34 @@
+// Apply a /api/stream delta to the scene we already hold
+export function applySceneDelta(scene, delta) {
+  if (!scene) return scene
+
+  const removed = new Set(delta.flights_removed)
+  const updates = new Map(delta.flights_updated.map((f) => [f.id, f]))
+
+  const flights = scene.flights
+    .filter((f) => !removed.has(f.id))
+    .map((f) => {
+      const update = updates.get(f.id)
+      if (!update) return f
+
+      // Points re-sampled or re-computed on the server come in new_points
+      const { new_points, track_start, track_keep, ...rest } = update
+      const kept = track_start ? f.track.filter((p) => p.timestamp >= track_start).slice(0, track_keep) : []
+      return { ...f, ...rest, track: [...kept, ...new_points] }
+    })
+
+  const firesRemoved = new Set(delta.fires_removed)
+
+  return {
+    ...scene,
+    generated_at: delta.generated_at,
+    source: delta.source ?? scene.source,
+    data_quality: delta.data_quality ?? scene.data_quality,
+    regions: delta.regions,
+    flights: [...flights, ...delta.flights_added],
+    fires: [...scene.fires.filter((f) => !firesRemoved.has(f.id)), ...delta.fires_added],
+    fire_events: delta.fire_events ?? scene.fire_events,
+    plumes: delta.plumes ?? scene.plumes,
+    watch_locations: delta.watch_locations ?? scene.watch_locations,
+  }
+}
@@ -0,0 +1,37 @@
+// Wind field helpers: arrow geometry and speed colours for /api/winds cells
+
+// Arrow colour by wind speed (km/h)
+export const WIND_LEGEND = [
+  { maxKmh: 25, color: "#38bdf8", label: "< 25 km/h" },
+  { maxKmh: 75, color: "#22c55e", label: "< 75 km/h" },
+  { maxKmh: 150, color: "#eab308", label: "< 150 km/h" },
+  { maxKmh: Infinity, color: "#e11d48", label: "≥ 150 km/h" },
+]
+
+export const windColor = (kmh) => WIND_LEGEND.find((l) => kmh < l.maxKmh).color
+
+const HEAD_FRACTION = 0.35 // arrowhead barbs, as a fraction of the shaft
+const HEAD_ANGLE = (25 * Math.PI) / 180
+
+/**
+ * Arrow for one grid cell, pointing downwind (where the air is going),
+ * centred on the cell and scaled so the fastest cell spans `cellDeg`.
+ * Returns polyline runs: [shaft, barb, barb] as [lat, lon] pairs.
+ */
+export function windArrow(cell, cellDeg, maxSpeedKmh) {
+  const length = cellDeg * 0.9 * Math.max(0.25, maxSpeedKmh > 0 ? cell.speed_kmh / maxSpeedKmh : 0)
+  const toward = ((cell.direction_deg + 180) * Math.PI) / 180
+  const lonScale = 1 / Math.max(Math.cos((cell.lat * Math.PI) / 180), 0.2)
+
+  // Offset in degrees for `len` along compass angle `angle`
+  const step = (angle, len) => [Math.cos(angle) * len, Math.sin(angle) * len * lonScale]
+
+  const [dLat, dLon] = step(toward, length / 2)
+  const tail = [cell.lat - dLat, cell.lon - dLon]
+  const tip = [cell.lat + dLat, cell.lon + dLon]
+  const barb = (side) => {
+    const [bLat, bLon] = step(toward + Math.PI + side * HEAD_ANGLE, length * HEAD_FRACTION)
+    return [tip, [tip[0] + bLat, tip[1] + bLon]]
+  }
+  return [[tail, tip], barb(1), barb(-1)]
+}
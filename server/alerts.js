@@ -0,0 +1,314 @@
+// ------------------------------------------------------------
+//  ALERT ENGINE
+//  Rules are evaluated after every scene build. A condition that
+//  starts holding opens an alert, one that stops holding closes it;
+//  both transitions are logged and POSTed to webhooks.
+// ------------------------------------------------------------
+
+import crypto from "crypto";
+import fs from "fs";
+import fetch from "node-fetch";
+import path from "path";
+import { confidenceLevel } from "./firms.js";
+import { createGridIndex } from "./spatial.js";
+
+const MAX_EVENTS_IN_MEMORY = 500;
+const WEBHOOK_ATTEMPTS = 5;
+const WEBHOOK_BASE_DELAY_MS = 1000;
+const WEBHOOK_TIMEOUT_MS = 10_000;
+
+export const RULE_TYPES = ["fire_proximity", "bbox_entry"];
+const CONFIDENCE_LEVELS = ["low", "nominal", "high"];
+
+let rulesFile = null;
+let eventsFile = null;
+let globalWebhooks = [];
+
+let rules = [];
+const events = [];
+const active = new Map(); // condition key -> open event
+
+// ------------------------------------------------------------
+//  PERSISTENCE
+// ------------------------------------------------------------
+
+export async function loadAlerts({ dir, webhooks = [] }) {
+  rulesFile = path.join(dir, "alert-rules.json");
+  eventsFile = path.join(dir, "alert-events.jsonl");
+  globalWebhooks = webhooks;
+
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  if (fs.existsSync(rulesFile)) {
+    try {
+      rules = JSON.parse(await fs.promises.readFile(rulesFile, "utf8"));
+    } catch (err) {
+      // A corrupt file must not keep the server from starting
+      console.warn(`alerts: could not read ${rulesFile} (${err.message}); starting with no rules`);
+    }
+  }
+
+  // Replay the event log so alerts that were open before a restart stay
+  // open instead of firing again
+  if (fs.existsSync(eventsFile)) {
+    const lines = (await fs.promises.readFile(eventsFile, "utf8")).split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        recordEvent(JSON.parse(line));
+      } catch {
+        // Skip a torn last line
+      }
+    }
+  }
+
+  console.log("alerts: loaded", rules.length, "rules,", active.size, "open alerts");
+}
+
+async function saveRules() {
+  const tmp = `${rulesFile}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(rules, null, 2));
+  await fs.promises.rename(tmp, rulesFile);
+}
+
+function recordEvent(event) {
+  events.push(event);
+  if (events.length > MAX_EVENTS_IN_MEMORY) events.shift();
+
+  if (event.type === "open") active.set(event.key, event);
+  else active.delete(event.key);
+}
+
+// ------------------------------------------------------------
+//  RULES (CRUD)
+// ------------------------------------------------------------
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const isUrl = (v) => typeof v === "string" && /^https?:\/\//.test(v);
+
+/**
+ * Validate a rule body. Returns a list of problems (empty when valid).
+ */
+export function validateRule(body) {
+  const errors = [];
+  if (!body || typeof body !== "object") return ["body must be a JSON object"];
+
+  if (typeof body.name !== "string" || !body.name.trim()) errors.push("name is required");
+  if (!RULE_TYPES.includes(body.type)) errors.push(`type must be one of ${RULE_TYPES.join(", ")}`);
+  if (body.enabled != null && typeof body.enabled !== "boolean") errors.push("enabled must be a boolean");
+  if (body.flight_ids != null && !(Array.isArray(body.flight_ids) && body.flight_ids.every((id) => typeof id === "string"))) {
+    errors.push("flight_ids must be an array of strings");
+  }
+  if (body.webhooks != null && (!Array.isArray(body.webhooks) || !body.webhooks.every(isUrl))) {
+    errors.push("webhooks must be an array of http(s) URLs");
+  }
+
+  if (body.type === "fire_proximity") {
+    if (!isNum(body.radius_km) || body.radius_km <= 0) errors.push("radius_km must be a positive number");
+    if (body.min_confidence != null && !CONFIDENCE_LEVELS.includes(body.min_confidence)) {
+      errors.push(`min_confidence must be one of ${CONFIDENCE_LEVELS.join(", ")}`);
+    }
+  }
+
+  if (body.type === "bbox_entry") {
+    const b = body.bbox;
+    if (!b || ![b.minLat, b.minLon, b.maxLat, b.maxLon].every(isNum)) {
+      errors.push("bbox must have numeric minLat, minLon, maxLat, maxLon");
+    } else if (b.minLat > b.maxLat) {
+      errors.push("bbox.minLat must not exceed bbox.maxLat");
+    }
+  }
+
+  return errors;
+}
+
+function toRule(body, id, createdAt) {
+  const rule = {
+    id,
+    name: body.name.trim(),
+    type: body.type,
+    enabled: body.enabled ?? true,
+    flight_ids: body.flight_ids ?? null,
+    webhooks: body.webhooks ?? [],
+    created_at: createdAt,
+    updated_at: new Date().toISOString(),
+  };
+
+  if (body.type === "fire_proximity") {
+    rule.radius_km = body.radius_km;
+    rule.min_confidence = body.min_confidence ?? null;
+  } else {
+    const { minLat, minLon, maxLat, maxLon } = body.bbox;
+    rule.bbox = { minLat, minLon, maxLat, maxLon };
+  }
+  return rule;
+}
+
+export const listRules = () => rules;
+export const getRule = (id) => rules.find((r) => r.id === id) ?? null;
+
+export async function createRule(body) {
+  const rule = toRule(body, crypto.randomUUID(), new Date().toISOString());
+  rules.push(rule);
+  await saveRules();
+  return rule;
+}
+
+export async function updateRule(id, body) {
+  const index = rules.findIndex((r) => r.id === id);
+  if (index === -1) return null;
+
+  rules[index] = toRule(body, id, rules[index].created_at);
+  await saveRules();
+  return rules[index];
+}
+
+export async function deleteRule(id) {
+  const index = rules.findIndex((r) => r.id === id);
+  if (index === -1) return false;
+
+  rules.splice(index, 1);
+  await saveRules();
+  return true;
+}
+
+// ------------------------------------------------------------
+//  EVALUATION
+// ------------------------------------------------------------
+
+// bbox may cross the antimeridian (minLon > maxLon)
+function inBbox({ lat, lon }, b) {
+  if (lat < b.minLat || lat > b.maxLat) return false;
+  return b.minLon <= b.maxLon ? lon >= b.minLon && lon <= b.maxLon : lon >= b.minLon || lon <= b.maxLon;
+}
+
+// Conditions currently holding for one rule, keyed for dedupe
+function matchRule(rule, flights, fireIndex) {
+  const matches = new Map();
+  const candidates = rule.flight_ids ? flights.filter((f) => rule.flight_ids.includes(f.id)) : flights;
+  const minLevel = rule.min_confidence ? CONFIDENCE_LEVELS.indexOf(rule.min_confidence) : null;
+
+  for (const f of candidates) {
+    const { lat, lon, altitude, timestamp } = f.latest;
+
+    if (rule.type === "fire_proximity") {
+      let nearest = null;
+      for (const hit of fireIndex.within(lat, lon, rule.radius_km)) {
+        if (minLevel != null && !(confidenceLevel(hit.item.confidence) >= minLevel)) continue;
+        if (!nearest || hit.distanceKm < nearest.distanceKm) nearest = hit;
+      }
+      if (nearest) {
+        matches.set(`${rule.id}|${f.id}`, {
+          flight_id: f.id,
+          position: { lat, lon, altitude, timestamp },
+          distance_km: Number(nearest.distanceKm.toFixed(2)),
+          fire: nearest.item,
+        });
+      }
+    } else if (rule.type === "bbox_entry" && inBbox(f.latest, rule.bbox)) {
+      matches.set(`${rule.id}|${f.id}`, {
+        flight_id: f.id,
+        position: { lat, lon, altitude, timestamp },
+      });
+    }
+  }
+  return matches;
+}
+
+const makeEvent = (type, key, rule, at, fields) => ({
+  id: crypto.randomUUID(),
+  type,
+  key,
+  rule_id: rule.id,
+  rule_name: rule.name,
+  at,
+  ...fields,
+});
+
+/**
+ * Evaluate every enabled rule against a freshly built scene and emit
+ * open/close events for conditions that changed. Returns the new events.
+ */
+export async function evaluateAlerts(scene) {
+  const fireIndex = createGridIndex(scene.fires ?? []);
+  const at = new Date().toISOString();
+  const fresh = [];
+
+  for (const rule of rules) {
+    const matches = rule.enabled ? matchRule(rule, scene.flights ?? [], fireIndex) : new Map();
+
+    for (const [key, details] of matches) {
+      if (active.has(key)) continue;
+      fresh.push(makeEvent("open", key, rule, at, details));
+    }
+
+    // Anything open for this rule that no longer matches is resolved
+    for (const [key, open] of active) {
+      if (open.rule_id !== rule.id || matches.has(key)) continue;
+      fresh.push(makeEvent("close", key, rule, at, { flight_id: open.flight_id, opened_at: open.at }));
+    }
+  }
+
+  // Close alerts whose rule was deleted
+  for (const [key, open] of active) {
+    if (rules.some((r) => r.id === open.rule_id)) continue;
+    const rule = { id: open.rule_id, name: open.rule_name };
+    fresh.push(makeEvent("close", key, rule, at, { flight_id: open.flight_id, opened_at: open.at, reason: "rule deleted" }));
+  }
+
+  if (!fresh.length) return fresh;
+
+  fresh.forEach(recordEvent);
+  await fs.promises.appendFile(eventsFile, fresh.map((e) => JSON.stringify(e)).join("\n") + "\n");
+
+  for (const event of fresh) {
+    const rule = getRule(event.rule_id);
+    const targets = [...new Set([...globalWebhooks, ...(rule?.webhooks ?? [])])];
+    for (const url of targets) deliverWebhook(url, event);
+  }
+
+  console.log("alerts:", fresh.length, "events,", active.size, "open");
+  return fresh;
+}
+
+/**
+ * Logged events, newest first. `activeOnly` returns just the open alerts.
+ */
+export function listEvents({ activeOnly = false, limit = 100 } = {}) {
+  const list = activeOnly ? [...active.values()] : events;
+  return list.slice(-limit).reverse();
+}
+
+// ------------------------------------------------------------
+//  WEBHOOK DELIVERY (RETRY WITH EXPONENTIAL BACKOFF)
+// ------------------------------------------------------------
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function deliverWebhook(url, event) {
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(event),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      if (res.ok) return true;
+
+      // 4xx other than 429 won't get better on retry
+      if (res.status < 500 && res.status !== 429) {
+        console.warn(`webhook ${url} rejected event ${event.id}: ${res.status}`);
+        return false;
+      }
+      console.warn(`webhook ${url} attempt ${attempt} failed: ${res.status}`);
+    } catch (err) {
+      console.warn(`webhook ${url} attempt ${attempt} failed: ${err.message}`);
+    }
+
+    if (attempt < WEBHOOK_ATTEMPTS) await sleep(WEBHOOK_BASE_DELAY_MS * 2 ** (attempt - 1));
+  }
+
+  console.error(`webhook ${url} gave up on event ${event.id} after ${WEBHOOK_ATTEMPTS} attempts`);
+  return false;
+}
@@ -0,0 +1,279 @@
+// ------------------------------------------------------------
+//  FIRE INFLUENCE ANALYSIS
+//  Do balloons move differently near fires? Track segments close
+//  to a fire are compared with baseline segments far from any
+//  fire, from the same altitude band or the same flight: vertical
+//  rate, ground speed and turn rate (heading variability), with
+//  effect sizes, sample counts and per-encounter case studies.
+// ------------------------------------------------------------
+
+import { wrapLon } from "./geo.js";
+import { createParser } from "./query.js";
+import { createGridIndex } from "./spatial.js";
+import { ALTITUDE_BANDS, bandOf } from "./winds.js";
+
+export const DEFAULT_NEAR_KM = 50;
+export const DEFAULT_BASELINE_KM = 200; // segments in between are neither
+export const BASELINES = ["band", "flight"];
+const MAX_NEAR_KM = 500;
+const MAX_BASELINE_KM = 2000;
+const MAX_SEGMENT_HOURS = 3; // longer gaps say little about motion near a fire
+const MIN_TURN_SPEED_KMH = 5; // heading is noise when barely moving
+const MIN_SAMPLES = 2;
+const MAX_CASES = 25;
+
+const METRICS = {
+  vertical_rate: { unit: "m/h", of: (s) => s.verticalRate },
+  speed_kmh: { unit: "km/h", of: (s) => s.speed },
+  turn_rate_deg_per_h: { unit: "deg/h", of: (s) => s.turnRate },
+};
+
+const round = (n, digits = 3) => (Number.isFinite(n) ? Number(n.toFixed(digits)) : null);
+
+// ------------------------------------------------------------
+//  STATISTICS
+// ------------------------------------------------------------
+
+function describe(values) {
+  const n = values.length;
+  const mean = n ? values.reduce((a, b) => a + b, 0) / n : NaN;
+  const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : NaN;
+  return { n, mean, sd: Math.sqrt(variance) };
+}
+
+/**
+ * Near vs baseline samples: difference of means, Cohen's d (pooled SD)
+ * and Welch's t with its degrees of freedom. Nulls below MIN_SAMPLES.
+ */
+function compare(near, baseline) {
+  const a = describe(near);
+  const b = describe(baseline);
+  const enough = a.n >= MIN_SAMPLES && b.n >= MIN_SAMPLES;
+
+  const pooledSd = Math.sqrt(((a.n - 1) * a.sd ** 2 + (b.n - 1) * b.sd ** 2) / (a.n + b.n - 2));
+  const va = a.sd ** 2 / a.n;
+  const vb = b.sd ** 2 / b.n;
+  const df = (va + vb) ** 2 / (va ** 2 / (a.n - 1) + vb ** 2 / (b.n - 1));
+
+  return {
+    near: { n: a.n, mean: round(a.mean), sd: round(a.sd) },
+    baseline: { n: b.n, mean: round(b.mean), sd: round(b.sd) },
+    difference: enough ? round(a.mean - b.mean) : null,
+    cohens_d: enough && pooledSd > 0 ? round((a.mean - b.mean) / pooledSd) : null,
+    welch_t: enough && va + vb > 0 ? round((a.mean - b.mean) / Math.sqrt(va + vb)) : null,
+    df: enough && va + vb > 0 ? round(df, 1) : null,
+  };
+}
+
+/**
+ * Compare near against baseline segments within each group (altitude band
+ * or flight), then pool the within-group deviations, so a different mix
+ * of bands or flights near fires does not pass for a fire effect. Groups
+ * without baseline samples are left out. Means are reported unadjusted.
+ */
+function compareWithin(near, baseline, groupOf, valueOf) {
+  const baseByGroup = new Map();
+  for (const s of baseline) {
+    const v = valueOf(s);
+    if (v == null) continue;
+    const key = groupOf(s);
+    if (!baseByGroup.has(key)) baseByGroup.set(key, []);
+    baseByGroup.get(key).push(v);
+  }
+  const groupMean = new Map([...baseByGroup].map(([key, values]) => [key, describe(values).mean]));
+
+  const matchedNear = near.filter((s) => valueOf(s) != null && groupMean.has(groupOf(s)));
+  const matchedGroups = new Set(matchedNear.map(groupOf));
+  const matchedBase = baseline.filter((s) => valueOf(s) != null && matchedGroups.has(groupOf(s)));
+  const deviation = (s) => valueOf(s) - groupMean.get(groupOf(s));
+
+  const raw = compare(matchedNear.map(valueOf), matchedBase.map(valueOf));
+  const adjusted = compare(matchedNear.map(deviation), matchedBase.map(deviation));
+  return { ...adjusted, near: raw.near, baseline: raw.baseline, groups: matchedGroups.size };
+}
+
+// ------------------------------------------------------------
+//  SEGMENTS
+// ------------------------------------------------------------
+
+// One sample per track segment (the metrics on its end point, see
+// metrics.js), labelled near / baseline by its endpoints' fire distance
+function segmentsOf(flight, nearKm, baselineKm) {
+  const segments = [];
+  const { track } = flight;
+  for (let i = 1; i < track.length; i++) {
+    const a = track[i - 1];
+    const b = track[i];
+    const hours = (Date.parse(b.timestamp) - Date.parse(a.timestamp)) / 3600_000;
+    if (!(hours > 0) || hours > MAX_SEGMENT_HOURS) continue;
+
+    const distanceKm = Math.min(a.nearest_fire_km ?? Infinity, b.nearest_fire_km ?? Infinity);
+    const turnable = i > 1 && a.heading_deg != null && b.heading_deg != null && b.speed_kmh >= MIN_TURN_SPEED_KMH;
+    segments.push({
+      flight,
+      point: b,
+      index: i,
+      band: bandOf(b.altitude),
+      distanceKm,
+      near: distanceKm <= nearKm,
+      baseline: distanceKm > baselineKm,
+      verticalRate: b.climb_rate_m_per_h,
+      speed: b.speed_kmh,
+      turnRate: turnable ? Math.abs(wrapLon(b.heading_deg - a.heading_deg)) / hours : null,
+    });
+  }
+  return segments;
+}
+
+const mean = (values) => {
+  const present = values.filter((v) => v != null);
+  return present.length ? present.reduce((a, b) => a + b, 0) / present.length : null;
+};
+
+// Runs of consecutive near segments on one flight, each compared with the
+// same flight's baseline segments
+function caseStudies(segments, baselineByFlight, nearestFire) {
+  const runs = [];
+  let run = null;
+  for (const s of segments) {
+    const continues = run && run[0].flight === s.flight && run[run.length - 1].index === s.index - 1;
+    if (s.near && continues) run.push(s);
+    else if (s.near) runs.push((run = [s]));
+    else run = null;
+  }
+
+  return runs
+    .map((run) => {
+      const { flight } = run[0];
+      const closest = run.reduce((best, s) => (s.distanceKm < best.distanceKm ? s : best));
+      const fire = nearestFire(closest.point);
+      const before = flight.track[run[0].index - 1];
+      const after = run[run.length - 1].point;
+      const base = baselineByFlight.get(flight) ?? [];
+
+      return {
+        flight_id: flight.id,
+        start: before.timestamp,
+        end: after.timestamp,
+        hours: round((Date.parse(after.timestamp) - Date.parse(before.timestamp)) / 3600_000, 2),
+        segments: run.length,
+        altitude_band: closest.band,
+        min_distance_km: round(closest.distanceKm, 2),
+        closest: { timestamp: closest.point.timestamp, lat: closest.point.lat, lon: closest.point.lon },
+        fire,
+        altitude_change:
+          typeof before.altitude === "number" && typeof after.altitude === "number"
+            ? round(after.altitude - before.altitude)
+            : null,
+        baseline_segments: base.length,
+        metrics: Object.fromEntries(
+          Object.entries(METRICS).map(([name, { of }]) => {
+            const during = mean(run.map(of));
+            const baseline = mean(base.map(of));
+            return [
+              name,
+              {
+                during: round(during),
+                baseline: round(baseline),
+                difference: during != null && baseline != null ? round(during - baseline) : null,
+              },
+            ];
+          })
+        ),
+      };
+    })
+    .sort((a, b) => a.min_distance_km - b.min_distance_km);
+}
+
+// ------------------------------------------------------------
+//  REPORT
+// ------------------------------------------------------------
+
+/**
+ * /api/analysis/fire-influence query → { options } or { errors }:
+ * near_km, baseline_km (must exceed near_km), baseline (band | flight).
+ */
+export function parseInfluenceQuery(query) {
+  const p = createParser(query);
+  const options = {
+    nearKm: p.number("near_km", { min: 0, max: MAX_NEAR_KM }) ?? DEFAULT_NEAR_KM,
+    baselineKm: p.number("baseline_km", { min: 0, max: MAX_BASELINE_KM }) ?? DEFAULT_BASELINE_KM,
+    baseline: p.oneOf("baseline", BASELINES) ?? BASELINES[0],
+  };
+  if (options.baselineKm <= options.nearKm) p.errors.push("baseline_km must exceed near_km");
+  return p.errors.length ? { errors: p.errors } : { options };
+}
+
+/**
+ * Fire influence report for a scene (flights need addTrackMetrics):
+ *
+ * - `overall`: per metric, near vs baseline within the same altitude band
+ *   or flight (`baseline` option), as difference, Cohen's d and Welch's t
+ * - `by_band`: the same per altitude band
+ * - `cases`: each pass near a fire, closest first, against the flight's
+ *   own baseline
+ *
+ * Segments along a track are autocorrelated, so t overstates confidence;
+ * read d and the sample counts first.
+ */
+export function fireInfluence(scene, { nearKm, baselineKm, baseline }) {
+  const segments = scene.flights.flatMap((f) => segmentsOf(f, nearKm, baselineKm));
+  const near = segments.filter((s) => s.near);
+  const base = segments.filter((s) => s.baseline);
+
+  const groupOf = baseline === "flight" ? (s) => s.flight.id : (s) => s.band;
+  const overall = Object.fromEntries(
+    Object.entries(METRICS).map(([name, { unit, of }]) => [name, { unit, ...compareWithin(near, base, groupOf, of) }])
+  );
+
+  const byBand = ALTITUDE_BANDS.map((b) => {
+    const inBand = (s) => s.band === b.id;
+    const bandNear = near.filter(inBand);
+    const bandBase = base.filter(inBand);
+    return {
+      altitude_band: b.id,
+      metrics: Object.fromEntries(
+        Object.entries(METRICS).map(([name, { of }]) => [
+          name,
+          compare(bandNear.map(of).filter((v) => v != null), bandBase.map(of).filter((v) => v != null)),
+        ])
+      ),
+    };
+  }).filter((b) => Object.values(b.metrics).some((m) => m.near.n > 0));
+
+  const index = createGridIndex(scene.fires);
+  const eventOf = new Map();
+  for (const event of scene.fire_events ?? []) {
+    for (const id of event.detection_ids) eventOf.set(id, event.id);
+  }
+  const nearestFire = (p) => {
+    const hit = scene.fires.length ? index.nearest(p.lat, p.lon) : null;
+    if (!hit) return null;
+    return { id: hit.item.id, event_id: eventOf.get(hit.item.id) ?? null, distance_km: round(hit.distanceKm, 2) };
+  };
+
+  const baselineByFlight = new Map();
+  for (const s of base) {
+    if (!baselineByFlight.has(s.flight)) baselineByFlight.set(s.flight, []);
+    baselineByFlight.get(s.flight).push(s);
+  }
+  const cases = caseStudies(segments, baselineByFlight, nearestFire);
+
+  return {
+    parameters: { near_km: nearKm, baseline_km: baselineKm, baseline, max_segment_hours: MAX_SEGMENT_HOURS },
+    segments: {
+      total: segments.length,
+      near: near.length,
+      baseline: base.length,
+      flights_near: new Set(near.map((s) => s.flight.id)).size,
+    },
+    overall,
+    by_band: byBand,
+    cases_total: cases.length,
+    cases: cases.slice(0, MAX_CASES),
+    notes: [
+      "Segments along one track are autocorrelated; Welch's t assumes independent samples and overstates confidence.",
+      `Turn rate only counts segments moving at least ${MIN_TURN_SPEED_KMH} km/h.`,
+    ],
+  };
+}
@@ -0,0 +1,187 @@
+// ------------------------------------------------------------
+//  FILE-BACKED ARCHIVE
+//  Append-only JSONL store of every normalized balloon point and
+//  FIRMS detection, so history survives restarts and outlives the
+//  rolling 24-hour window.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { fireId } from "./firms.js";
+
+const DAY_MS = 24 * 3600_000;
+const PRUNE_EVERY_MS = 3600_000;
+
+let archiveDir = null;
+let retentionMs = 30 * DAY_MS;
+let lastPrune = 0;
+
+// In-memory mirror of the files, plus dedupe keys
+const points = [];
+const fires = [];
+const pointKeys = new Set();
+const fireKeys = new Set();
+
+const pointKey = (p) => `${p.timestamp}|${p.lat.toFixed(4)}|${p.lon.toFixed(4)}`;
+const fireKey = (f) => `${f.acquired_at}|${f.lat.toFixed(4)}|${f.lon.toFixed(4)}|${f.satellite ?? ""}`;
+
+const filePath = (name) => path.join(archiveDir, `${name}.jsonl`);
+
+async function readJsonl(name, onRecord) {
+  const file = filePath(name);
+  if (!fs.existsSync(file)) return;
+
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      onRecord(JSON.parse(line));
+    } catch {
+      // Skip a torn last line from an interrupted write
+    }
+  }
+}
+
+async function appendJsonl(name, records) {
+  if (!records.length) return;
+  const body = records.map((r) => JSON.stringify(r)).join("\n") + "\n";
+  await fs.promises.appendFile(filePath(name), body);
+}
+
+async function rewriteJsonl(name, records) {
+  const tmp = `${filePath(name)}.tmp`;
+  const body = records.map((r) => JSON.stringify(r)).join("\n");
+  await fs.promises.writeFile(tmp, body ? body + "\n" : "");
+  await fs.promises.rename(tmp, filePath(name));
+}
+
+const recordTime = (r) => Date.parse(r.timestamp ?? r.acquired_at);
+
+/**
+ * Load the archive from disk. Must be awaited before any other call.
+ */
+export async function loadArchive({ dir, retentionDays } = {}) {
+  archiveDir = dir;
+  if (retentionDays > 0) retentionMs = retentionDays * DAY_MS;
+
+  await fs.promises.mkdir(archiveDir, { recursive: true });
+
+  await readJsonl("points", (p) => {
+    const key = pointKey(p);
+    if (pointKeys.has(key)) return;
+    pointKeys.add(key);
+    points.push(p);
+  });
+  await readJsonl("fires", (f) => {
+    if (!f.id) f.id = fireId(f);
+    const key = fireKey(f);
+    if (fireKeys.has(key)) return;
+    fireKeys.add(key);
+    fires.push(f);
+  });
+
+  await pruneArchive();
+  console.log("archive: loaded", points.length, "points,", fires.length, "fires");
+}
+
+/**
+ * Drop records older than the retention window and compact the files.
+ */
+export async function pruneArchive() {
+  const cutoff = Date.now() - retentionMs;
+  lastPrune = Date.now();
+
+  for (const [name, list, keys, keyOf] of [
+    ["points", points, pointKeys, pointKey],
+    ["fires", fires, fireKeys, fireKey],
+  ]) {
+    const kept = list.filter((r) => recordTime(r) >= cutoff);
+    if (kept.length === list.length) continue;
+
+    for (const r of list) if (recordTime(r) < cutoff) keys.delete(keyOf(r));
+    list.length = 0;
+    for (const r of kept) list.push(r);
+    await rewriteJsonl(name, list);
+  }
+}
+
+async function maybePrune() {
+  if (Date.now() - lastPrune > PRUNE_EVERY_MS) await pruneArchive();
+}
+
+/**
+ * Archive the normalized points of each hourly frame. Re-fetched hours
+ * are recognised by timestamp + position and skipped.
+ */
+export async function archiveFrames(frames) {
+  const fresh = [];
+  for (const frame of frames) {
+    frame.points.forEach((p, index) => {
+      if (!p) return;
+      const record = { ...p, index };
+      const key = pointKey(record);
+      if (pointKeys.has(key)) return;
+      pointKeys.add(key);
+      fresh.push(record);
+    });
+  }
+
+  for (const r of fresh) points.push(r);
+  await appendJsonl("points", fresh);
+  await maybePrune();
+  return fresh.length;
+}
+
+/**
+ * Archive FIRMS detections, skipping ones already stored.
+ */
+export async function archiveFires(list) {
+  const fresh = [];
+  for (const f of list) {
+    if (!f.acquired_at) continue;
+    const key = fireKey(f);
+    if (fireKeys.has(key)) continue;
+    fireKeys.add(key);
+    fresh.push(f);
+  }
+
+  for (const r of fresh) fires.push(r);
+  await appendJsonl("fires", fresh);
+  await maybePrune();
+  return fresh.length;
+}
+
+/**
+ * Rebuild hourly frames (same shape loadBalloonFrames produces) for a range.
+ */
+export function readFrames(from, to) {
+  const byTime = new Map();
+  for (const p of points) {
+    const time = Date.parse(p.timestamp);
+    if (time < from || time > to) continue;
+
+    if (!byTime.has(time)) byTime.set(time, []);
+    const { index, ...point } = p;
+    byTime.get(time)[index] = point;
+  }
+
+  if (!byTime.size) return [];
+
+  const newest = Math.max(...byTime.keys());
+  return [...byTime].map(([time, framePoints]) => ({
+    hour: Math.round((newest - time) / 3600_000),
+    time,
+    points: framePoints,
+  }));
+}
+
+/**
+ * Archived fire detections acquired within a range.
+ */
+export function readFires(from, to) {
+  return fires.filter((f) => {
+    const time = Date.parse(f.acquired_at);
+    return time >= from && time <= to;
+  });
+}
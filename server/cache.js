@@ -0,0 +1,74 @@
+// ------------------------------------------------------------
+//  STALE-WHILE-REVALIDATE CACHE
+//  Fresh entries are returned as-is, stale ones are returned while a
+//  background refresh runs, and concurrent misses share one load.
+// ------------------------------------------------------------
+
+/**
+ * Create a keyed SWR cache.
+ *
+ * `loader` results of null/undefined are treated as a failed load: they are
+ * returned to the caller but never stored, so a stale value survives an
+ * upstream outage.
+ *
+ * `get(key, loader, { revalidate: true })` waits for the refresh of a stale
+ * entry instead of answering from it (falling back to it if the refresh
+ * fails). Use it from code that already runs in the background.
+ */
+export function createCache({ name, ttlMs, maxEntries = 100 }) {
+  const entries = new Map(); // key -> { value, fetchedAt }
+  const inFlight = new Map(); // key -> Promise
+
+  function store(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, fetchedAt: Date.now() });
+
+    // Map keeps insertion order, so the first key is the oldest write
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  function load(key, loader) {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = (async () => {
+      try {
+        const value = await loader();
+        if (value != null) store(key, value);
+        return value;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  async function get(key, loader, { revalidate = false } = {}) {
+    const entry = entries.get(key);
+    if (!entry) return load(key, loader);
+    if (Date.now() - entry.fetchedAt < ttlMs) return entry.value;
+
+    if (revalidate) {
+      try {
+        return (await load(key, loader)) ?? entry.value;
+      } catch (err) {
+        console.error(`${name} cache: refresh failed for ${key}`, err);
+        return entry.value;
+      }
+    }
+
+    load(key, loader).catch((err) => console.error(`${name} cache: refresh failed for ${key}`, err));
+    return entry.value;
+  }
+
+  // Age of the entry in ms, or null when missing
+  function age(key) {
+    const entry = entries.get(key);
+    return entry ? Date.now() - entry.fetchedAt : null;
+  }
+
+  return { get, age };
+}
@@ -0,0 +1,160 @@
+// ------------------------------------------------------------
+//  FIRE EVENTS
+//  Groups FIRMS hotspots into fire events with DBSCAN, then
+//  describes each event: perimeter, intensity and time span.
+// ------------------------------------------------------------
+
+import { toRad, wrapLon } from "./geo.js";
+import { createGridIndex } from "./spatial.js";
+
+export const DEFAULT_EPS_KM = 2; // a few VIIRS pixels apart
+export const DEFAULT_MIN_POINTS = 3;
+const DEFAULT_FOOTPRINT_KM = 0.375; // VIIRS I-band pixel; MODIS uses scan/track
+
+const KM_PER_DEG_LAT = 110.57;
+const KM_PER_DEG_LON = 111.32;
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+
+/**
+ * Classic DBSCAN over detections. Returns arrays of member fires.
+ * Noise points are kept as single-detection events: an isolated
+ * hotspot is still a fire.
+ */
+function dbscan(fires, epsKm, minPoints) {
+  const index = createGridIndex(fires, Math.max(epsKm / KM_PER_DEG_LAT, 0.05));
+  const label = new Map(); // fire -> cluster number, or -1 for noise
+  const clusters = [];
+
+  for (const fire of fires) {
+    if (label.has(fire)) continue;
+
+    const neighbours = index.within(fire.lat, fire.lon, epsKm).map((h) => h.item);
+    if (neighbours.length < minPoints) {
+      label.set(fire, -1);
+      continue;
+    }
+
+    const cluster = [];
+    clusters.push(cluster);
+    const queue = [...neighbours];
+
+    label.set(fire, clusters.length - 1);
+    cluster.push(fire);
+
+    while (queue.length) {
+      const next = queue.pop();
+      const prior = label.get(next);
+      if (prior === -1) {
+        // Border point previously marked as noise
+        label.set(next, clusters.length - 1);
+        cluster.push(next);
+        continue;
+      }
+      if (prior !== undefined) continue;
+
+      label.set(next, clusters.length - 1);
+      cluster.push(next);
+
+      const reach = index.within(next.lat, next.lon, epsKm).map((h) => h.item);
+      if (reach.length >= minPoints) queue.push(...reach);
+    }
+  }
+
+  for (const fire of fires) {
+    if (label.get(fire) === -1) clusters.push([fire]);
+  }
+  return clusters;
+}
+
+// Andrew's monotone chain over [x, y] points
+function convexHull(points) {
+  const pts = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (pts.length < 3) return pts;
+
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+}
+
+const polygonArea = (ring) =>
+  Math.abs(ring.reduce((sum, [x1, y1], i) => {
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    return sum + x1 * y2 - x2 * y1;
+  }, 0)) / 2;
+
+const numberOrNull = (v) => (v == null || v === "" || isNaN(Number(v)) ? null : Number(v));
+
+function describeEvent(members) {
+  // Local equirectangular frame around the first detection (antimeridian safe)
+  const lat0 = members[0].lat;
+  const lon0 = members[0].lon;
+  const kx = KM_PER_DEG_LON * Math.cos(toRad(lat0));
+  const toXY = (lat, lon) => [wrapLon(lon - lon0) * kx, (lat - lat0) * KM_PER_DEG_LAT];
+  const toLatLon = ([x, y]) => [round(lat0 + y / KM_PER_DEG_LAT, 5), round(wrapLon(lon0 + x / kx), 5)];
+
+  // Each detection covers a pixel, so hull the pixel corners rather than
+  // the centres; single detections then still get a real polygon
+  const corners = members.flatMap((f) => {
+    const [x, y] = toXY(f.lat, f.lon);
+    const halfX = (numberOrNull(f.scan) ?? DEFAULT_FOOTPRINT_KM * 2) / 2;
+    const halfY = (numberOrNull(f.track) ?? DEFAULT_FOOTPRINT_KM * 2) / 2;
+    return [
+      [x - halfX, y - halfY],
+      [x + halfX, y - halfY],
+      [x + halfX, y + halfY],
+      [x - halfX, y + halfY],
+    ];
+  });
+  const hull = convexHull(corners);
+
+  const xy = members.map((f) => toXY(f.lat, f.lon));
+  const centroid = toLatLon([
+    xy.reduce((sum, p) => sum + p[0], 0) / xy.length,
+    xy.reduce((sum, p) => sum + p[1], 0) / xy.length,
+  ]);
+
+  const times = members.map((f) => f.acquired_at).filter(Boolean).sort();
+  const brightness = members.map((f) => numberOrNull(f.brightness)).filter((v) => v != null);
+  const frp = members.map((f) => numberOrNull(f.frp)).filter((v) => v != null);
+
+  // Earliest detection anchors the id, so it survives refreshes that add pixels
+  const anchor = [...members].sort(
+    (a, b) => (a.acquired_at ?? "").localeCompare(b.acquired_at ?? "") || String(a.id).localeCompare(String(b.id))
+  )[0];
+
+  return {
+    id: `evt-${anchor.id}`,
+    centroid: { lat: centroid[0], lon: centroid[1] },
+    perimeter: hull.map(toLatLon),
+    area_km2: round(polygonArea(hull)),
+    detections: members.length,
+    detection_ids: members.map((f) => f.id),
+    brightness_max: brightness.length ? Math.max(...brightness) : null,
+    brightness_sum: brightness.length ? round(brightness.reduce((a, b) => a + b, 0), 1) : null,
+    frp_max: frp.length ? Math.max(...frp) : null,
+    frp_sum: frp.length ? round(frp.reduce((a, b) => a + b, 0), 1) : null,
+    first_acquired: times[0] ?? null,
+    last_acquired: times[times.length - 1] ?? null,
+    satellites: [...new Set(members.flatMap((f) => f.satellites ?? [f.satellite]).filter(Boolean))],
+  };
+}
+
+/**
+ * Cluster detections into fire events, largest first.
+ */
+export function clusterFires(fires, { epsKm = DEFAULT_EPS_KM, minPoints = DEFAULT_MIN_POINTS } = {}) {
+  return dbscan(fires, epsKm, minPoints)
+    .map(describeEvent)
+    .sort((a, b) => b.detections - a.detections || a.id.localeCompare(b.id));
+}
@@ -0,0 +1,181 @@
+// ------------------------------------------------------------
+//  COVERAGE (WHERE TO LOOK FOR FIRES)
+//  The area around the balloon tracks, as a set of grid cells:
+//  grouped into regions (one per cluster of balloons, with an
+//  antimeridian-aware bbox) and into FIRMS query tiles that never
+//  cross the dateline.
+// ------------------------------------------------------------
+
+import { toRad, wrapLon } from "./geo.js";
+
+export const DEFAULT_BUFFER_KM = 150;
+export const DEFAULT_TILE_DEG = 10;
+const TILE_SPAN_CELLS = 3; // a tile merges at most this many cells per row
+
+const KM_PER_DEG_LAT = 111.2;
+
+const round = (n, digits = 3) => Number(n.toFixed(digits));
+
+// Degrees of longitude a buffer spans at a latitude; null = all of them
+function lonSpanDeg(lat, bufferKm) {
+  const cosLat = Math.cos(toRad(Math.min(Math.abs(lat), 90)));
+  if (cosLat < 0.01) return null;
+  const span = bufferKm / (KM_PER_DEG_LAT * cosLat);
+  return span >= 180 ? null : span;
+}
+
+/**
+ * Smallest longitude interval holding every value, found by cutting the
+ * circle at its largest empty gap. Returns [west, east] in [-180, 180);
+ * west > east means the interval crosses the antimeridian.
+ */
+function lonExtent(lons) {
+  const sorted = [...new Set(lons.map(wrapLon))].sort((a, b) => a - b);
+  if (sorted.length === 1) return [sorted[0], sorted[0]];
+
+  let gapAfter = sorted.length - 1;
+  let gap = sorted[0] + 360 - sorted[sorted.length - 1];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    if (sorted[i + 1] - sorted[i] > gap) {
+      gap = sorted[i + 1] - sorted[i];
+      gapAfter = i;
+    }
+  }
+  return [sorted[(gapAfter + 1) % sorted.length], sorted[gapAfter]];
+}
+
+/**
+ * Build the coverage for a set of flights (full tracks):
+ * - `regions`: connected groups of cells, each with the flights in it and
+ *   a bbox of the buffered track points. `minLon > maxLon` means the box
+ *   crosses the antimeridian; a box touching a pole spans every longitude.
+ * - `tiles`: non-wrapping, grid-aligned boxes covering every cell, for the
+ *   FIRMS area API. Aligned edges keep cache keys stable between refreshes.
+ * - `contains(lat, lon)`: whether a point lies in a covered cell.
+ */
+export function computeCoverage(flights, { bufferKm = DEFAULT_BUFFER_KM, tileDeg = DEFAULT_TILE_DEG } = {}) {
+  const rows = Math.ceil(180 / tileDeg);
+  const cols = Math.ceil(360 / tileDeg);
+  const rowOf = (lat) => Math.min(rows - 1, Math.max(0, Math.floor((lat + 90) / tileDeg)));
+  const colOf = (lon) => ((Math.floor((lon + 180) / tileDeg) % cols) + cols) % cols;
+  const latBuffer = bufferKm / KM_PER_DEG_LAT;
+
+  // Cells touched by each point's buffer, and the flights using each cell
+  const cells = new Map(); // row * cols + col -> Set of flight ids
+  const points = []; // [flight id, lat, lon] for region bboxes
+
+  for (const f of flights) {
+    for (const p of f.track) {
+      points.push([f.id, p.lat, p.lon]);
+
+      const south = Math.max(p.lat - latBuffer, -90);
+      const north = Math.min(p.lat + latBuffer, 90);
+      // The poleward edge of the buffer is where it is widest
+      const span = lonSpanDeg(Math.max(Math.abs(south), Math.abs(north)), bufferKm);
+
+      for (let r = rowOf(south); r <= rowOf(north); r++) {
+        const first = span == null ? 0 : colOf(p.lon - span);
+        const count = span == null ? cols : ((colOf(p.lon + span) - first + cols) % cols) + 1;
+        for (let i = 0; i < count; i++) {
+          const key = r * cols + ((first + i) % cols);
+          if (!cells.has(key)) cells.set(key, new Set());
+          cells.get(key).add(f.id);
+        }
+      }
+    }
+  }
+
+  // Regions: connected cells (8-neighbourhood, wrapping in longitude)
+  const regionOf = new Map();
+  const regionCells = [];
+  for (const start of cells.keys()) {
+    if (regionOf.has(start)) continue;
+
+    const members = [];
+    const queue = [start];
+    regionOf.set(start, regionCells.length);
+    while (queue.length) {
+      const key = queue.pop();
+      members.push(key);
+      const r = Math.floor(key / cols);
+      const c = key % cols;
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const nr = r + dr;
+          if (nr < 0 || nr >= rows) continue;
+          const next = nr * cols + ((c + dc + cols) % cols);
+          if (cells.has(next) && !regionOf.has(next)) {
+            regionOf.set(next, regionCells.length);
+            queue.push(next);
+          }
+        }
+      }
+    }
+    regionCells.push(members);
+  }
+
+  const regionPoints = regionCells.map(() => []);
+  for (const point of points) {
+    regionPoints[regionOf.get(rowOf(point[1]) * cols + colOf(point[2]))].push(point);
+  }
+
+  const regions = regionCells
+    .map((members, i) => {
+      const pts = regionPoints[i];
+      const minLat = Math.max(pts.reduce((min, p) => Math.min(min, p[1]), 90) - latBuffer, -90);
+      const maxLat = Math.min(pts.reduce((max, p) => Math.max(max, p[1]), -90) + latBuffer, 90);
+      const span = lonSpanDeg(Math.max(Math.abs(minLat), Math.abs(maxLat)), bufferKm);
+      const [west, east] = lonExtent(pts.map((p) => p[2]));
+      const width = ((east - west + 360) % 360) + 2 * (span ?? 180);
+
+      const bounds =
+        span == null || width >= 360
+          ? { minLat, maxLat, minLon: -180, maxLon: 180 }
+          : { minLat, maxLat, minLon: wrapLon(west - span), maxLon: wrapLon(east + span) };
+
+      return {
+        bounds: {
+          minLat: round(bounds.minLat),
+          maxLat: round(bounds.maxLat),
+          minLon: round(bounds.minLon),
+          maxLon: round(bounds.maxLon),
+          crosses_antimeridian: bounds.minLon > bounds.maxLon,
+        },
+        flight_ids: [...new Set(members.flatMap((key) => [...cells.get(key)]))].sort(),
+        cells: members.length,
+      };
+    })
+    .sort((a, b) => b.flight_ids.length - a.flight_ids.length || a.bounds.minLon - b.bounds.minLon)
+    .map((region, i) => ({ ...region, id: `region-${i}` }));
+
+  // Tiles: runs of covered cells per row, cut at fixed column blocks
+  const tiles = [];
+  for (let r = 0; r < rows; r++) {
+    for (let block = 0; block < cols; block += TILE_SPAN_CELLS) {
+      let run = null;
+      for (let c = block; c < Math.min(block + TILE_SPAN_CELLS, cols); c++) {
+        if (!cells.has(r * cols + c)) {
+          run = null;
+          continue;
+        }
+        if (!run) {
+          run = { row: r, first: c, last: c };
+          tiles.push(run);
+        } else {
+          run.last = c;
+        }
+      }
+    }
+  }
+
+  return {
+    regions,
+    tiles: tiles.map(({ row, first, last }) => ({
+      minLat: -90 + row * tileDeg,
+      maxLat: Math.min(-90 + (row + 1) * tileDeg, 90),
+      minLon: -180 + first * tileDeg,
+      maxLon: Math.min(-180 + (last + 1) * tileDeg, 180),
+    })),
+    contains: (lat, lon) => cells.has(rowOf(lat) * cols + colOf(lon)),
+  };
+}
@@ -0,0 +1,196 @@
+// ------------------------------------------------------------
+//  EXPORT FORMATS (GeoJSON, KML, CSV, GPX)
+// ------------------------------------------------------------
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const csvCell = (value) => {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The feed reports altitude in km; every format here expects metres
+const metres = (km) => (typeof km === "number" ? Math.round(km * 1000) : null);
+
+const toCsv = (columns, rows) =>
+  [columns.join(","), ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(","))].join("\r\n") + "\r\n";
+
+// Flat, GIS-friendly attributes for a flight (no nested objects)
+function flightAttributes(f) {
+  const summary = f.fire_summary ?? {};
+  const attrs = {
+    flight_id: f.id,
+    latest_time: f.latest.timestamp,
+    latest_lat: f.latest.lat,
+    latest_lon: f.latest.lon,
+    latest_altitude_m: metres(f.latest.altitude),
+    track_points: f.track.length,
+    track_confidence: f.association?.confidence ?? null,
+    track_status: f.association?.status ?? null,
+    nearest_fire_km: summary.min_distance_km ?? null,
+    closest_approach_km: summary.closest_approach?.distance_km ?? null,
+    closest_approach_time: summary.closest_approach?.timestamp ?? null,
+    fires_encountered: summary.fires_encountered_count ?? null,
+  };
+  for (const [radius, hours] of Object.entries(summary.hours_within_km ?? {})) {
+    attrs[`hours_within_${radius}km`] = hours;
+  }
+  return attrs;
+}
+
+const FIRE_SKIP = new Set(["lat", "lon"]);
+
+// Scalar attributes only; lists of names (e.g. merged satellites) become "N;N20"
+function fireAttributes(fire) {
+  return Object.fromEntries(
+    Object.entries(fire)
+      .filter(([k]) => !FIRE_SKIP.has(k))
+      .map(([k, v]) => [k, Array.isArray(v) && v.every((x) => typeof x !== "object") ? v.join(";") : v])
+      .filter(([, v]) => v == null || typeof v !== "object")
+  );
+}
+
+const coordinate = (p) => (p.altitude != null ? [p.lon, p.lat, metres(p.altitude)] : [p.lon, p.lat]);
+
+// ------------------------------------------------------------
+//  GEOJSON
+// ------------------------------------------------------------
+
+export function flightsToGeoJSON(flights) {
+  return {
+    type: "FeatureCollection",
+    features: flights.map((f) => ({
+      type: "Feature",
+      id: f.id,
+      geometry:
+        f.track.length > 1
+          ? { type: "LineString", coordinates: f.track.map(coordinate) }
+          : { type: "Point", coordinates: coordinate(f.latest) },
+      properties: {
+        ...flightAttributes(f),
+        // Per-vertex times, the convention QGIS/togeojson use for tracks
+        coordTimes: f.track.map((p) => p.timestamp),
+      },
+    })),
+  };
+}
+
+export function firesToGeoJSON(fires) {
+  return {
+    type: "FeatureCollection",
+    features: fires.map((fire) => ({
+      type: "Feature",
+      id: fire.id,
+      geometry: { type: "Point", coordinates: [fire.lon, fire.lat] },
+      properties: fireAttributes(fire),
+    })),
+  };
+}
+
+// ------------------------------------------------------------
+//  KML
+// ------------------------------------------------------------
+
+const kmlDocument = (name, body) =>
+  `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+<Document>
+<name>${escapeXml(name)}</name>
+<Style id="track"><LineStyle><color>ff1673f9</color><width>3</width></LineStyle></Style>
+<Style id="fire"><IconStyle><color>ff0000ff</color><Icon><href>http://maps.google.com/mapfiles/kml/shapes/firedept.png</href></Icon></IconStyle></Style>
+${body}
+</Document>
+</kml>
+`;
+
+const extendedData = (attrs) =>
+  `<ExtendedData>${Object.entries(attrs)
+    .map(([k, v]) => `<Data name="${escapeXml(k)}"><value>${escapeXml(v)}</value></Data>`)
+    .join("")}</ExtendedData>`;
+
+export function flightsToKML(flights) {
+  const placemarks = flights.map((f) => {
+    // gx:Track keeps a timestamp per vertex, so Google Earth's time slider works
+    const whens = f.track.map((p) => `<when>${p.timestamp}</when>`).join("");
+    const coords = f.track.map((p) => `<gx:coord>${p.lon} ${p.lat} ${metres(p.altitude) ?? 0}</gx:coord>`).join("");
+    return `<Placemark>
+<name>${escapeXml(f.id)}</name>
+<styleUrl>#track</styleUrl>
+${extendedData(flightAttributes(f))}
+<gx:Track><altitudeMode>absolute</altitudeMode>${whens}${coords}</gx:Track>
+</Placemark>`;
+  });
+  return kmlDocument("Balloon flights", placemarks.join("\n"));
+}
+
+export function firesToKML(fires) {
+  const placemarks = fires.map(
+    (fire) => `<Placemark>
+<name>Fire ${escapeXml(fire.acquired_at ?? fire.id ?? "")}</name>
+<styleUrl>#fire</styleUrl>
+${fire.acquired_at ? `<TimeStamp><when>${fire.acquired_at}</when></TimeStamp>` : ""}
+${extendedData(fireAttributes(fire))}
+<Point><coordinates>${fire.lon},${fire.lat}</coordinates></Point>
+</Placemark>`
+  );
+  return kmlDocument("FIRMS fire detections", placemarks.join("\n"));
+}
+
+// ------------------------------------------------------------
+//  CSV
+// ------------------------------------------------------------
+
+// One row per track point, flight-level summary repeated on each row
+export function flightsToCSV(flights) {
+  const rows = flights.flatMap((f) => {
+    const attrs = flightAttributes(f);
+    return f.track.map((p) => ({
+      ...attrs,
+      timestamp: p.timestamp,
+      lat: p.lat,
+      lon: p.lon,
+      altitude_m: metres(p.altitude),
+    }));
+  });
+
+  const summaryColumns = [...new Set(flights.flatMap((f) => Object.keys(flightAttributes(f))))];
+  const columns = ["flight_id", "timestamp", "lat", "lon", "altitude_m", ...summaryColumns.filter((c) => c !== "flight_id")];
+  return toCsv(columns, rows);
+}
+
+export function firesToCSV(fires) {
+  const rows = fires.map((f) => ({ lat: f.lat, lon: f.lon, ...fireAttributes(f) }));
+  const columns = ["lat", "lon", ...new Set(rows.flatMap((r) => Object.keys(r)).filter((k) => !FIRE_SKIP.has(k)))];
+  return toCsv(columns, rows);
+}
+
+// ------------------------------------------------------------
+//  GPX
+// ------------------------------------------------------------
+
+export function flightToGPX(flight) {
+  const points = flight.track
+    .map(
+      (p) =>
+        `<trkpt lat="${p.lat}" lon="${p.lon}">${p.altitude != null ? `<ele>${metres(p.altitude)}</ele>` : ""}<time>${p.timestamp}</time></trkpt>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Balloons &amp; Blazes" xmlns="http://www.topografix.com/GPX/1/1">
+<trk>
+<name>${escapeXml(flight.id)}</name>
+<trkseg>
+${points}
+</trkseg>
+</trk>
+</gpx>
+`;
+}
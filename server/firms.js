@@ -0,0 +1,244 @@
+// ------------------------------------------------------------
+//  NASA FIRMS
+// ------------------------------------------------------------
+
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { createGridIndex } from "./spatial.js";
+
+// FIRMS gives acq_date "YYYY-MM-DD" and acq_time "HHMM" (UTC, leading zeros optional)
+export function firmsAcquiredAt(acqDate, acqTime) {
+  if (!acqDate) return null;
+  const hhmm = String(acqTime ?? "0").padStart(4, "0");
+  const time = Date.parse(`${acqDate}T${hhmm.slice(0, 2)}:${hhmm.slice(2, 4)}:00Z`);
+  return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Stable id for a detection, so clients can diff fires between refreshes
+export function fireId({ lat, lon, acquired_at, satellite }) {
+  const key = `${acquired_at}|${lat.toFixed(4)}|${lon.toFixed(4)}|${satellite ?? ""}`;
+  return crypto.createHash("sha1").update(key).digest("hex").slice(0, 12);
+}
+
+export const firmsAreaUrl = (key, product, { minLat, minLon, maxLat, maxLon }) =>
+  `https://firms.modaps.eosdis.nasa.gov/api/area/csv/${key}/${product}/${minLon},${minLat},${maxLon},${maxLat}/2`;
+
+// Single FIRMS area request as raw CSV. Throws on failure, including the
+// plain-text errors FIRMS answers with a 200 (e.g. "Invalid MAP_KEY.")
+export async function fetchFirmsCsv(key, product, bounds) {
+  const url = firmsAreaUrl(key, product, bounds);
+
+  console.log("FIRMS URL:", url.replace(key, "***"));
+
+  const res = await fetch(url);
+  const text = await res.text();
+  if (!res.ok) throw new Error(`FIRMS HTTP ${res.status}: ${text.slice(0, 120).trim()}`);
+  if (!/^\s*latitude,/i.test(text)) throw new Error(`FIRMS error: ${text.slice(0, 120).trim()}`);
+  return text;
+}
+
+// ------------------------------------------------------------
+//  CSV
+// ------------------------------------------------------------
+
+/**
+ * RFC 4180 CSV → array of rows. Handles quoted fields with commas,
+ * escaped quotes ("") and line breaks, and CRLF or LF line endings.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines parse as a single empty field
+  return rows.filter((r) => r.length > 1 || r[0] !== "");
+}
+
+// ------------------------------------------------------------
+//  FIRMS RECORDS
+// ------------------------------------------------------------
+
+// Products queried by default: every near-real-time active fire sensor
+export const DEFAULT_FIRMS_PRODUCTS = ["VIIRS_SNPP_NRT", "VIIRS_NOAA20_NRT", "VIIRS_NOAA21_NRT", "MODIS_NRT"];
+
+// Nominal pixel size at nadir, for rows without scan/track
+const PIXEL_KM = { VIIRS: 0.375, MODIS: 1 };
+
+const numberOrNull = (v) => (v == null || v.trim() === "" || isNaN(Number(v)) ? null : Number(v));
+const textOrNull = (v) => (v == null || v.trim() === "" ? null : v.trim());
+
+// VIIRS reports l/n/h, MODIS a 0-100 percentage
+export function confidenceLevel(value) {
+  if (value == null || value === "") return null;
+  const v = String(value).toLowerCase();
+  if (v === "l" || v === "low") return 0;
+  if (v === "n" || v === "nominal") return 1;
+  if (v === "h" || v === "high") return 2;
+  const pct = Number(v);
+  if (isNaN(pct)) return null;
+  return pct < 30 ? 0 : pct < 80 ? 1 : 2;
+}
+
+/**
+ * FIRMS area CSV → fire records with the full attribute set. VIIRS and
+ * MODIS name their brightness channels differently (bright_ti4/ti5 vs
+ * brightness/bright_t31); both end up in `brightness` / `brightness_t31`.
+ */
+export function parseFirmsCsv(text, product = null) {
+  const [headers, ...rows] = parseCsv(text.trim());
+  if (!headers || !rows.length) return [];
+
+  const names = headers.map((h) => h.trim().toLowerCase());
+
+  const fires = rows.map((cols) => {
+    const obj = {};
+    names.forEach((h, i) => (obj[h] = cols[i]));
+
+    const lat = numberOrNull(obj.latitude);
+    const lon = numberOrNull(obj.longitude);
+    if (lat == null || lon == null) return null;
+
+    const instrument = textOrNull(obj.instrument) ?? (obj.bright_ti4 != null ? "VIIRS" : obj.brightness != null ? "MODIS" : null);
+
+    const fire = {
+      lat,
+      lon,
+      brightness: numberOrNull(obj.brightness ?? obj.bright_ti4),
+      brightness_t31: numberOrNull(obj.bright_t31 ?? obj.bright_ti5),
+      frp: numberOrNull(obj.frp),
+      scan: numberOrNull(obj.scan),
+      track: numberOrNull(obj.track),
+      confidence: textOrNull(obj.confidence),
+      daynight: textOrNull(obj.daynight),
+      version: textOrNull(obj.version),
+      acq_date: textOrNull(obj.acq_date),
+      acq_time: textOrNull(obj.acq_time),
+      acquired_at: firmsAcquiredAt(textOrNull(obj.acq_date), textOrNull(obj.acq_time)),
+      satellite: textOrNull(obj.satellite),
+      instrument,
+      product,
+    };
+    return { id: fireId(fire), ...fire };
+  });
+
+  return fires.filter(Boolean);
+}
+
+// ------------------------------------------------------------
+//  CROSS-SENSOR DEDUPLICATION
+// ------------------------------------------------------------
+
+export const DEFAULT_MERGE_WINDOW_MIN = 60; // SNPP, NOAA-20/21 and Aqua pass within ~50 min
+
+// Footprint (km) of a detection's pixel
+const pixelKm = (f) => Math.max(f.scan ?? 0, f.track ?? 0) || PIXEL_KM[f.instrument] || PIXEL_KM.VIIRS;
+
+const byTimeThenId = (a, b) =>
+  (a.acquired_at ?? "").localeCompare(b.acquired_at ?? "") || String(a.id).localeCompare(String(b.id));
+
+/**
+ * Merge detections of the same fire by different satellites: one record
+ * per group, located at its earliest detection (whose id it keeps, so ids
+ * stay stable as later overpasses come in). Two detections belong together
+ * when their pixels overlap and they were taken within `windowMinutes`.
+ * Detections by the same satellite are never merged - those are separate
+ * pixels, and grouping them is what fire events are for.
+ *
+ * Every record gets `satellites` and `sensors` (the contributing
+ * detections); merged ones also take the highest FRP, brightness and
+ * confidence seen by any sensor.
+ */
+export function mergeDetections(fires, { windowMinutes = DEFAULT_MERGE_WINDOW_MIN } = {}) {
+  const sorted = [...fires].sort(byTimeThenId);
+  const maxPixelKm = sorted.reduce((max, f) => Math.max(max, pixelKm(f)), 0);
+  const index = createGridIndex(sorted);
+  const windowMs = windowMinutes * 60_000;
+  const taken = new Set();
+  const merged = [];
+
+  for (const primary of sorted) {
+    if (taken.has(primary)) continue;
+    taken.add(primary);
+    const group = [primary];
+    const time = Date.parse(primary.acquired_at);
+
+    // Closest eligible detection from each other satellite
+    const candidates = index
+      .within(primary.lat, primary.lon, (pixelKm(primary) + maxPixelKm) / 2)
+      .filter(({ item, distanceKm }) => {
+        if (taken.has(item) || item.satellite === primary.satellite) return false;
+        if (distanceKm > (pixelKm(primary) + pixelKm(item)) / 2) return false;
+        return Math.abs(Date.parse(item.acquired_at) - time) <= windowMs;
+      })
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    for (const { item } of candidates) {
+      if (group.some((g) => g.satellite === item.satellite)) continue;
+      taken.add(item);
+      group.push(item);
+    }
+
+    merged.push(describeMerged(group));
+  }
+  return merged;
+}
+
+function describeMerged(group) {
+  const [primary] = group;
+  const maxOf = (key) => {
+    const values = group.map((f) => f[key]).filter((v) => v != null);
+    return values.length ? Math.max(...values) : null;
+  };
+  const confidence = group.reduce(
+    (best, f) => (confidenceLevel(f.confidence) > (confidenceLevel(best) ?? -1) ? f.confidence : best),
+    primary.confidence
+  );
+
+  return {
+    ...primary,
+    ...(group.length > 1 ? { frp: maxOf("frp"), brightness: maxOf("brightness"), confidence } : {}),
+    satellites: [...new Set(group.map((f) => f.satellite).filter(Boolean))],
+    sensors: group.map((f) => ({
+      id: f.id,
+      satellite: f.satellite,
+      instrument: f.instrument ?? null,
+      product: f.product ?? null,
+      acquired_at: f.acquired_at,
+      confidence: f.confidence,
+      frp: f.frp ?? null,
+    })),
+  };
+}
@@ -0,0 +1,164 @@
+// ------------------------------------------------------------
+//  SHORT-TERM TRAJECTORY FORECAST
+//  Dead-reckons each balloon from its recent track and widens an
+//  uncertainty cone over time, then checks the cone against fires.
+// ------------------------------------------------------------
+
+import { bearingDeg, destinationPoint, haversineKm, toDeg, toRad, wrapLon } from "./geo.js";
+import { createGridIndex } from "./spatial.js";
+
+const HOUR_MS = 3600_000;
+
+export const DEFAULT_FORECAST_HOURS = 6;
+const LOOKBACK_HOURS = 6; // recent track used to estimate motion
+const BASE_RADIUS_KM = 5; // position uncertainty at t=0
+const MIN_GROWTH_KMH = 2; // cone always widens at least this fast
+const SPEED_GROWTH = 0.1; // extra widening as a fraction of speed
+const CHECK_EVERY_MIN = 15; // encounter sampling inside the cone
+const MAX_ENCOUNTERS = 20;
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+
+// Keep longitudes continuous with a reference so Leaflet doesn't draw
+// shapes across the whole map at the antimeridian
+const unwrapLon = (lon, ref) => ref + wrapLon(lon - ref);
+
+// Mean velocity (east/north km/h), its spread, and climb rate over the lookback
+function estimateMotion(track) {
+  const latest = track[track.length - 1];
+  const since = Date.parse(latest.timestamp) - LOOKBACK_HOURS * HOUR_MS;
+  const recent = track.filter((p) => Date.parse(p.timestamp) >= since);
+  if (recent.length < 2) return null;
+
+  const segments = [];
+  for (let i = 1; i < recent.length; i++) {
+    const a = recent[i - 1];
+    const b = recent[i];
+    const hours = (Date.parse(b.timestamp) - Date.parse(a.timestamp)) / HOUR_MS;
+    if (hours <= 0) continue;
+
+    const speed = haversineKm(a.lat, a.lon, b.lat, b.lon) / hours;
+    const heading = toRad(bearingDeg(a.lat, a.lon, b.lat, b.lon));
+    segments.push({ hours, east: speed * Math.sin(heading), north: speed * Math.cos(heading) });
+  }
+  if (!segments.length) return null;
+
+  const totalHours = segments.reduce((sum, s) => sum + s.hours, 0);
+  const east = segments.reduce((sum, s) => sum + s.east * s.hours, 0) / totalHours;
+  const north = segments.reduce((sum, s) => sum + s.north * s.hours, 0) / totalHours;
+  const spread = Math.sqrt(
+    segments.reduce((sum, s) => sum + ((s.east - east) ** 2 + (s.north - north) ** 2) * s.hours, 0) / totalHours
+  );
+
+  // Least-squares altitude trend (km/h, as the feed reports altitude in km)
+  const withAlt = recent.filter((p) => typeof p.altitude === "number");
+  let climbRate = 0;
+  if (withAlt.length >= 2) {
+    const t0 = Date.parse(withAlt[0].timestamp);
+    const xs = withAlt.map((p) => (Date.parse(p.timestamp) - t0) / HOUR_MS);
+    const ys = withAlt.map((p) => p.altitude);
+    const mx = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const my = ys.reduce((a, b) => a + b, 0) / ys.length;
+    const sxx = xs.reduce((sum, x) => sum + (x - mx) ** 2, 0);
+    const sxy = xs.reduce((sum, x, i) => sum + (x - mx) * (ys[i] - my), 0);
+    climbRate = sxx > 0 ? sxy / sxx : 0;
+  }
+
+  return {
+    speed: Math.hypot(east, north),
+    heading: (toDeg(Math.atan2(east, north)) + 360) % 360,
+    spread,
+    climbRate,
+  };
+}
+
+function forecastFlight(flight, hours) {
+  const motion = estimateMotion(flight.track);
+  if (!motion) return null;
+
+  const { latest } = flight;
+  const start = Date.parse(latest.timestamp);
+  const growth = MIN_GROWTH_KMH + motion.spread + SPEED_GROWTH * motion.speed;
+
+  const at = (t) => {
+    const pos = destinationPoint(latest.lat, latest.lon, motion.heading, motion.speed * t);
+    return {
+      timestamp: new Date(start + t * HOUR_MS).toISOString(),
+      lat: pos.lat,
+      lon: unwrapLon(pos.lon, latest.lon),
+      altitude:
+        typeof latest.altitude === "number" ? Math.max(0, latest.altitude + motion.climbRate * t) : null,
+      radius_km: BASE_RADIUS_KM + growth * t,
+      hours_ahead: t,
+    };
+  };
+
+  const points = Array.from({ length: hours + 1 }, (_, t) => at(t));
+
+  // Cone outline: left edge out, rounded cap, right edge back
+  const left = points.map((p) => destinationPoint(p.lat, p.lon, motion.heading - 90, p.radius_km));
+  const right = points.map((p) => destinationPoint(p.lat, p.lon, motion.heading + 90, p.radius_km));
+  const tip = points[points.length - 1];
+  const cap = [-60, -30, 0, 30, 60].map((d) => destinationPoint(tip.lat, tip.lon, motion.heading + d, tip.radius_km));
+  const cone = [...left, ...cap, ...right.reverse()].map((p) => [
+    round(p.lat, 4),
+    round(unwrapLon(p.lon, latest.lon), 4),
+  ]);
+
+  return {
+    model: "dead-reckoning",
+    based_on_hours: LOOKBACK_HOURS,
+    speed_kmh: round(motion.speed),
+    heading_deg: round(motion.heading, 1),
+    climb_rate_m_per_h: round(motion.climbRate * 1000, 0),
+    points: points.map((p) => ({
+      ...p,
+      lat: round(p.lat, 4),
+      lon: round(p.lon, 4),
+      altitude: p.altitude != null ? round(p.altitude, 1) : null,
+      radius_km: round(p.radius_km),
+    })),
+    cone,
+    sample: at, // not serialized; used for encounter checks
+  };
+}
+
+/**
+ * Attach `forecast` and `predicted_fire_encounters` to every flight.
+ * Flights with fewer than two recent points get a null forecast.
+ */
+export function forecastFlights(flights, fires, { hours = DEFAULT_FORECAST_HOURS } = {}) {
+  const index = createGridIndex(fires);
+  const steps = Math.round((hours * 60) / CHECK_EVERY_MIN);
+
+  return flights.map((f) => {
+    const result = forecastFlight(f, hours);
+    if (!result) return { ...f, forecast: null, predicted_fire_encounters: [] };
+
+    const { sample, ...forecast } = result;
+    const encounters = new Map(); // fire -> first sample inside the cone
+
+    for (let s = 0; s <= steps; s++) {
+      const p = sample((s * CHECK_EVERY_MIN) / 60);
+      for (const hit of index.within(p.lat, wrapLon(p.lon), p.radius_km)) {
+        if (!encounters.has(hit.item)) encounters.set(hit.item, { p, distanceKm: hit.distanceKm });
+      }
+    }
+
+    const predicted = [...encounters]
+      .map(([fire, { p, distanceKm }]) => ({
+        fire,
+        eta_hours: round(p.hours_ahead),
+        timestamp: p.timestamp,
+        distance_from_track_km: round(distanceKm),
+        cone_radius_km: round(p.radius_km),
+      }))
+      .sort((a, b) => a.eta_hours - b.eta_hours || a.distance_from_track_km - b.distance_from_track_km);
+
+    return {
+      ...f,
+      forecast,
+      predicted_fire_encounters: predicted.slice(0, MAX_ENCOUNTERS),
+    };
+  });
+}
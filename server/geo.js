@@ -0,0 +1,45 @@
+// ------------------------------------------------------------
+//  GEO HELPERS
+// ------------------------------------------------------------
+
+export const EARTH_RADIUS_KM = 6371;
+
+export const toRad = (d) => (d * Math.PI) / 180;
+export const toDeg = (r) => (r * 180) / Math.PI;
+
+// Wrap a longitude (or longitude delta) into [-180, 180)
+export const wrapLon = (lon) => ((((lon + 180) % 360) + 360) % 360) - 180;
+
+// Simple Haversine
+export function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) *
+      Math.cos(toRad(lat2)) *
+      Math.sin(dLon / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Initial great-circle bearing from point 1 to point 2, degrees clockwise from north
+export function bearingDeg(lat1, lon1, lat2, lon2) {
+  const p1 = toRad(lat1);
+  const p2 = toRad(lat2);
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(p2);
+  const x = Math.cos(p1) * Math.sin(p2) - Math.sin(p1) * Math.cos(p2) * Math.cos(dLon);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+// Point reached travelling distanceKm from (lat, lon) along a bearing
+export function destinationPoint(lat, lon, bearing, distanceKm) {
+  const d = distanceKm / EARTH_RADIUS_KM;
+  const theta = toRad(bearing);
+  const p1 = toRad(lat);
+
+  const p2 = Math.asin(Math.sin(p1) * Math.cos(d) + Math.cos(p1) * Math.sin(d) * Math.cos(theta));
+  const dLon = Math.atan2(Math.sin(theta) * Math.sin(d) * Math.cos(p1), Math.cos(d) - Math.sin(p1) * Math.sin(p2));
+
+  return { lat: toDeg(p2), lon: wrapLon(lon + toDeg(dLon)) };
+}
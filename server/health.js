@@ -0,0 +1,60 @@
+// ------------------------------------------------------------
+//  HEALTH
+//  Outcome of every upstream fetch (balloon hours, FIRMS tiles),
+//  kept so /api/health can tell "no fires" from "FIRMS is down".
+// ------------------------------------------------------------
+
+const MAX_RECORDS = 2000;
+
+const fetches = new Map(); // "source|key" -> last outcome
+
+/**
+ * Time `load()` and record how it went. Errors are recorded and turned
+ * into null (a failed load, to the caches); `count(value)` says how many
+ * items a successful load returned.
+ */
+export async function trackFetch(source, key, load, count = () => null) {
+  const started = Date.now();
+  const record = (outcome) => {
+    const id = `${source}|${key}`;
+    fetches.delete(id);
+    fetches.set(id, { source, key, ...outcome, latency_ms: Date.now() - started, at: new Date().toISOString() });
+    if (fetches.size > MAX_RECORDS) fetches.delete(fetches.keys().next().value);
+  };
+
+  try {
+    const value = await load();
+    if (value == null) record({ ok: false, error: "no data" });
+    else record({ ok: true, error: null, items: count(value) });
+    return value;
+  } catch (err) {
+    record({ ok: false, error: err.message || String(err) });
+    return null;
+  }
+}
+
+// Last recorded outcome, or null when never fetched
+export const lastFetch = (source, key) => fetches.get(`${source}|${key}`) ?? null;
+
+/**
+ * Overall status from the parts: "down" when no balloon data came back,
+ * "degraded" when some did but anything failed, otherwise "ok".
+ */
+export function overallStatus({ balloonHours, firms }) {
+  const ok = balloonHours.filter((h) => h.ok).length;
+  if (!ok) return "down";
+  if (ok < balloonHours.length || firms.status === "down" || firms.status === "degraded") return "degraded";
+  return "ok";
+}
+
+/**
+ * Summarize FIRMS requests: "unavailable" (no source configured), "down"
+ * (every request failed), "degraded" (some failed) or "ok".
+ */
+export function firmsStatus(available, requests) {
+  if (!available) return "unavailable";
+  if (!requests.length) return "ok";
+  const failed = requests.filter((r) => r.ok === false).length;
+  if (failed === requests.length) return "down";
+  return failed ? "degraded" : "ok";
+}
@@ -4,9 +4,85 @@
 
 import dotenv from "dotenv";
 import express from "express";
-import fetch from "node-fetch";
+import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import {
+  createRule,
+  deleteRule,
+  evaluateAlerts,
+  getRule,
+  listEvents,
+  listRules,
+  loadAlerts,
+  updateRule,
+  validateRule,
+} from "./alerts.js";
+import { fireInfluence, parseInfluenceQuery } from "./analysis.js";
+import { archiveFires, archiveFrames, loadArchive, readFires, readFrames } from "./archive.js";
+import { createCache } from "./cache.js";
+import { clusterFires, DEFAULT_EPS_KM, DEFAULT_MIN_POINTS } from "./clustering.js";
+import { computeCoverage, DEFAULT_BUFFER_KM, DEFAULT_TILE_DEG } from "./coverage.js";
+import {
+  firesToCSV,
+  firesToGeoJSON,
+  firesToKML,
+  flightsToCSV,
+  flightsToGeoJSON,
+  flightsToKML,
+  flightToGPX,
+} from "./export.js";
+import { DEFAULT_FIRMS_PRODUCTS, DEFAULT_MERGE_WINDOW_MIN, mergeDetections } from "./firms.js";
+import { DEFAULT_FORECAST_HOURS, forecastFlights } from "./forecast.js";
+import { firmsStatus, lastFetch, overallStatus, trackFetch } from "./health.js";
+import { addTrackMetrics } from "./metrics.js";
+import { classifyFireEvents, DEFAULT_HISTORY_DAYS, DEFAULT_NEW_IGNITION_KM } from "./persistence.js";
+import { buildPlumes, DEFAULT_PLUME_HOURS } from "./plume.js";
+import { DEFAULT_RADII_KM, summarizeFlights } from "./proximity.js";
+import {
+  addRejections,
+  DEFAULT_MAX_SPEED_KMH,
+  emptyRejections,
+  rejectStrays,
+  rejectTeleports,
+  validateSnapshot,
+} from "./quality.js";
+import {
+  findFire,
+  nearbyFlights,
+  paginate,
+  parseFireQuery,
+  parseFlightQuery,
+  parseNearbyQuery,
+  parseTime,
+  queryFires,
+  queryFlights,
+} from "./query.js";
+import {
+  labelEvents,
+  labelFires,
+  labelPosition,
+  labelTrack,
+  loadRegions,
+  parseRegionStatsQuery,
+  regionStats,
+} from "./regions.js";
+import { assessRisk } from "./risk.js";
+import { createSources } from "./sources.js";
+import { attachStreamClient, publishScene, streamClientCount } from "./stream.js";
+import { associateTracks, trackIdsByFix } from "./tracking.js";
+import { parseViewport, sceneInViewport } from "./viewport.js";
+import {
+  createWatchLocation,
+  deleteWatchLocation,
+  getWatchLocation,
+  listWatchLocations,
+  loadWatchLocations,
+  updateWatchLocation,
+  validateWatchLocation,
+  watchStatus,
+} from "./watch.js";
+import { parseWindQuery, windLayer, windVectors } from "./winds.js";
 
 dotenv.config();
 
@@ -20,35 +96,154 @@ const PORT = process.env.PORT || 4000;
 // Serve Vite build (client/dist)
 const distPath = path.join(__dirname, "..", "client", "dist");
 app.use(express.static(distPath));
+app.use(express.json());
+// A body that is not valid JSON gets the same JSON 400 as other bad input,
+// not Express's HTML error page
+app.use((err, req, res, next) => {
+  if (err.type !== "entity.parse.failed") return next(err);
+  res.status(400).json({ error: "Invalid JSON body", details: [err.message] });
+});
 
 console.log("FIRMS_KEY loaded?", !!process.env.FIRMS_KEY);
 
 // ------------------------------------------------------------
-//  HELPERS
+//  CONFIG (server/.env)
 // ------------------------------------------------------------
 
-const padHour = (h) => h.toString().padStart(2, "0");
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
 
-// Fetch a single hour snapshot
-async function fetchHourSnapshot(hour) {
-  const url = `https://a.windbornesystems.com/treasure/${padHour(hour)}.json`;
+const BALLOON_HOURS = Math.min(envInt("BALLOON_HOURS", 24), 24);
+const MAX_TRACK_POINTS = Math.max(envInt("MAX_TRACK_POINTS", 100), 2);
+const FLIGHTS_CACHE_TTL_MS = envInt("FLIGHTS_CACHE_TTL_MS", 5 * 60 * 1000);
+const FIRMS_CACHE_TTL_MS = envInt("FIRMS_CACHE_TTL_MS", 5 * 60 * 1000);
 
-  try {
-    const res = await fetch(url);
-    if (!res.ok) return null;
-    return await res.json();
-  } catch {
-    return null;
-  }
+// Radii (km) for time-near-fire accounting, e.g. PROXIMITY_RADII_KM=10,50,100
+const PROXIMITY_RADII_KM = (process.env.PROXIMITY_RADII_KM || "")
+  .split(",")
+  .map(Number)
+  .filter((r) => r > 0);
+if (!PROXIMITY_RADII_KM.length) PROXIMITY_RADII_KM.push(...DEFAULT_RADII_KM);
+
+const FORECAST_HOURS = Math.min(envInt("FORECAST_HOURS", DEFAULT_FORECAST_HOURS), 24);
+
+// Smoke plumes follow the balloon-measured wind this many hours downwind
+const PLUME_HOURS = Math.min(envInt("PLUME_HOURS", DEFAULT_PLUME_HOURS), 24);
+
+// Track points implying a faster move than this are rejected as teleports
+const MAX_SPEED_KMH = envInt("MAX_SPEED_KMH", DEFAULT_MAX_SPEED_KMH);
+
+// DBSCAN parameters for grouping hotspots into fire events
+const FIRE_CLUSTER = {
+  epsKm: Number(process.env.FIRE_CLUSTER_EPS_KM) || DEFAULT_EPS_KM,
+  minPoints: envInt("FIRE_CLUSTER_MIN_POINTS", DEFAULT_MIN_POINTS),
+};
+
+// Archived detections this far back tell a new ignition from an old fire;
+// new ignitions this close to any balloon track are flagged
+const FIRE_HISTORY_MS = envInt("FIRE_HISTORY_DAYS", DEFAULT_HISTORY_DAYS) * 24 * 3600_000;
+const NEW_IGNITION_KM = Number(process.env.FIRE_NEW_IGNITION_KM) || DEFAULT_NEW_IGNITION_KM;
+
+// FIRMS_PRODUCTS: comma-separated products queried on every refresh.
+// FIRMS_PRODUCT, the old single-product setting, is ignored: honouring it
+// would quietly turn cross-sensor merging off.
+const FIRMS_PRODUCTS = (process.env.FIRMS_PRODUCTS || DEFAULT_FIRMS_PRODUCTS.join(","))
+  .split(",")
+  .map((p) => p.trim())
+  .filter(Boolean);
+if (process.env.FIRMS_PRODUCT && !process.env.FIRMS_PRODUCTS) {
+  console.warn(
+    `FIRMS_PRODUCT is no longer used - querying ${FIRMS_PRODUCTS.join(", ")}. Set FIRMS_PRODUCTS to choose products.`
+  );
+}
+
+// Detections by different satellites this close in time are merged
+const FIRMS_MERGE_WINDOW_MIN = envInt("FIRMS_MERGE_WINDOW_MIN", DEFAULT_MERGE_WINDOW_MIN);
+
+// FIRMS is queried in grid-aligned tiles around the balloon tracks:
+// FIRMS_BUFFER_KM around every track point, FIRMS_TILE_DEG cells
+const COVERAGE = {
+  bufferKm: envInt("FIRMS_BUFFER_KM", DEFAULT_BUFFER_KM),
+  tileDeg: Math.min(envInt("FIRMS_TILE_DEG", DEFAULT_TILE_DEG), 90),
+};
+const FIRMS_CONCURRENCY = envInt("FIRMS_CONCURRENCY", 6);
+
+// DATA_SOURCE=live (default) | record (live + save to RECORD_DIR) |
+// replay (offline from REPLAY_DIR)
+const sources = createSources({
+  mode: process.env.DATA_SOURCE || "live",
+  firmsKey: process.env.FIRMS_KEY,
+  recordDir: process.env.RECORD_DIR || path.join(__dirname, "recordings"),
+  replayDir: process.env.REPLAY_DIR,
+});
+
+// Reported with every live scene, so the UI can tell "no fires" from "no fire source"
+const SOURCE_INFO = {
+  mode: sources.mode,
+  balloons: sources.balloons.name,
+  fires: sources.fires.name,
+  fires_available: sources.fires.available,
+};
+
+console.log(`Data source: ${sources.mode} (balloons: ${sources.balloons.name}, fires: ${sources.fires.name})`);
+if (!sources.fires.available) {
+  console.warn(
+    sources.mode === "replay"
+      ? "Replay has no FIRMS recordings - scenes will have no fires."
+      : "No FIRMS_KEY - scenes will have no fires. Set FIRMS_KEY, or use DATA_SOURCE=replay to work offline."
+  );
 }
 
-function normalizePoint(raw, timestamp, index) {
+// Per-hour WindBorne snapshots, per tile/product FIRMS queries, and the
+// assembled scene (rebuilt in the background once either source is due)
+const snapshotCache = createCache({ name: "snapshot", ttlMs: FLIGHTS_CACHE_TTL_MS, maxEntries: 48 });
+const firmsCache = createCache({ name: "firms", ttlMs: FIRMS_CACHE_TTL_MS, maxEntries: 500 });
+const sceneCache = createCache({
+  name: "scene",
+  ttlMs: Math.min(FLIGHTS_CACHE_TTL_MS, FIRMS_CACHE_TTL_MS),
+  maxEntries: 1,
+});
+
+const dataDir = process.env.ARCHIVE_DIR || path.join(__dirname, "data");
+
+await loadArchive({
+  dir: dataDir,
+  retentionDays: Number(process.env.ARCHIVE_RETENTION_DAYS) || undefined,
+});
+
+// ALERT_WEBHOOK_URLS: comma-separated endpoints that receive every alert event
+await loadAlerts({
+  dir: dataDir,
+  webhooks: (process.env.ALERT_WEBHOOK_URLS || "").split(",").map((u) => u.trim()).filter(Boolean),
+});
+
+await loadWatchLocations({ dir: dataDir });
+
+// Boundaries that positions are labelled with (see geodata/README.md).
+// A replay brings its own when REPLAY_DIR has a regions.geojson.
+const replayRegions = sources.mode === "replay" && path.resolve(process.env.REPLAY_DIR || "", "regions.geojson");
+await loadRegions(
+  process.env.REGIONS_FILE ||
+    (replayRegions && fs.existsSync(replayRegions) ? replayRegions : path.join(__dirname, "geodata", "regions.geojson"))
+);
+
+// ------------------------------------------------------------
+//  HELPERS
+// ------------------------------------------------------------
+
+const HOUR_MS = 3600_000;
+
+// Ids are left null unless the source provides one; track association
+// assigns them afterwards (array position is not stable between hours)
+function normalizePoint(raw, timestamp) {
   if (Array.isArray(raw)) {
     const [lat, lon, altitude] = raw;
     if (typeof lat !== "number" || typeof lon !== "number") return null;
 
     return {
-      id: `balloon-${index}`,
+      id: null,
       lat,
       lon,
       altitude: typeof altitude === "number" ? altitude : null,
@@ -57,7 +252,7 @@ function normalizePoint(raw, timestamp, index) {
   }
 
   try {
-    const id = raw.id ?? `balloon-${index}`;
+    const id = raw.id ?? null;
     const lat = raw.lat ?? raw.latitude;
     const lon = raw.lon ?? raw.longitude;
     const altitude = raw.alt ?? raw.altitude ?? null;
@@ -65,7 +260,7 @@ function normalizePoint(raw, timestamp, index) {
     if (typeof lat !== "number" || typeof lon !== "number") return null;
 
     return {
-      id: String(id),
+      id: id != null ? String(id) : null,
       lat,
       lon,
       altitude: typeof altitude === "number" ? altitude : null,
@@ -76,216 +271,779 @@ function normalizePoint(raw, timestamp, index) {
   }
 }
 
-// Downsample long tracks to reduce payload & speed up calcs
-function downsample(arr, every = 3) {
-  if (arr.length <= 3) return arr;
-  return arr.filter((_, i) => i % every === 0);
+// Downsample long tracks to at most maxPoints, evenly spaced and always
+// keeping the first and latest points
+function downsample(arr, maxPoints = MAX_TRACK_POINTS) {
+  if (arr.length <= maxPoints) return arr;
+  const step = (arr.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => arr[Math.round(i * step)]);
 }
 
-// Build all balloon flights (PARALLEL fetch)
-async function loadBalloonFlights() {
-  console.log("loadBalloonFlights: start");
+// Fetch, normalize and validate the hourly snapshots (PARALLEL fetch).
+// Returns the usable frames plus a per-hour report for /api/health.
+async function loadBalloonFrames() {
+  console.log("loadBalloonFrames: start");
 
-  // 1. Fetch 24 snapshots IN PARALLEL
-  const hours = [...Array(24).keys()];
-  const snapshots = await Promise.all(hours.map(fetchHourSnapshot));
+  // NN.json is the snapshot from NN hours before the current hour (or the
+  // recorded hour, when replaying), so cache by absolute hour: last hour's
+  // 00.json is this hour's 01.json
+  const currentHour = sources.balloons.referenceTime();
 
-  const now = Date.now();
-  const histories = new Map();
+  // 1. Fetch BALLOON_HOURS snapshots IN PARALLEL
+  const hours = [...Array(BALLOON_HOURS).keys()];
+  const snapshots = await Promise.all(
+    hours.map((hour) => {
+      const time = currentHour - hour * HOUR_MS;
+      const load = () =>
+        trackFetch("balloons", time, () => sources.balloons.fetchHour(hour), (s) => (Array.isArray(s) ? s.length : null));
+      return snapshotCache.get(time, load, { revalidate: true });
+    })
+  );
+  const frames = [];
+  const report = [];
 
-  // 2. Normalize and merge data
+  // 2. Normalize and validate each snapshot (array index kept for naming)
   snapshots.forEach((snapshot, hour) => {
-    if (!snapshot || !Array.isArray(snapshot)) return;
+    const time = currentHour - hour * HOUR_MS;
+    const timestamp = new Date(time).toISOString();
+    const fetched = lastFetch("balloons", time);
+    const entry = {
+      hour,
+      timestamp,
+      ok: snapshot != null,
+      // A cached copy may still be served after a failed refresh
+      error: fetched?.ok === false ? fetched.error : null,
+      latency_ms: fetched?.latency_ms ?? null,
+      fetched_at: fetched?.at ?? null,
+      cache_age_ms: snapshotCache.age(time),
+      points: 0,
+      rejected: emptyRejections(),
+      corrupt: null,
+    };
+    report.push(entry);
+    if (snapshot == null) return;
 
-    const timestamp = new Date(now - hour * 3600_000).toISOString();
+    const { points, rejected, corrupt } = validateSnapshot(snapshot, (raw) => normalizePoint(raw, timestamp));
+    entry.rejected = rejected;
+    if (corrupt) {
+      entry.ok = false;
+      entry.corrupt = corrupt;
+      return;
+    }
+    entry.points = points.filter(Boolean).length;
+    frames.push({ hour, time, points });
+  });
 
-    snapshot.forEach((raw, index) => {
-      const pt = normalizePoint(raw, timestamp, index);
-      if (!pt) return;
+  console.log("loadBalloonFrames: done, frames:", frames.length);
+  return { frames, hours: report };
+}
 
-      if (!histories.has(pt.id)) histories.set(pt.id, []);
-      histories.get(pt.id).push(pt);
-    });
+// Build balloon flights from hourly frames (live or archived). Tracks are
+// kept at full resolution here; downsampleFlights runs once analysis is done.
+// Returns { flights, strays } (stray = teleported point that joined no track).
+// Every position is labelled with the region it is over. `previous` flights
+// (the last live build) hand their ids on to the tracks that continue them.
+function buildFlights(frames, previous = []) {
+  // Link points hour-to-hour by position into tracks
+  const tracks = associateTracks(frames, {
+    maxDriftKmh: Number(process.env.TRACK_MAX_DRIFT_KMH) || undefined,
+    maxGapHours: Number(process.env.TRACK_MAX_GAP_HOURS) || undefined,
+    previousIds: trackIdsByFix(previous),
   });
 
-  // 3. Sort and downsample tracks
-  const flights = [];
-  for (const [id, points] of histories) {
-    points.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-    flights.push({
+  // Points a balloon could not physically have reached are dropped here,
+  // once the track tells us where it came from
+  const times = frames.map((f) => f.time);
+  const { tracks: linked, dropped: strays } = rejectStrays(tracks, {
+    firstTime: Math.min(...times),
+    latestTime: Math.max(...times),
+  });
+  const flights = linked.map(({ id, points, association }) => {
+    const { points: kept, dropped } = rejectTeleports(points, MAX_SPEED_KMH);
+    const track = labelTrack(kept);
+    return {
       id,
-      latest: points[points.length - 1],
-      track: downsample(points, 3),
-    });
-  }
+      latest: labelPosition(track[track.length - 1]),
+      track,
+      association: { ...association, rejected_points: dropped },
+    };
+  });
 
-  console.log("loadBalloonFlights: done, flights:", flights.length);
-  return flights;
+  console.log("buildFlights: done, flights:", flights.length, "stray points:", strays);
+  return { flights, strays };
 }
 
-// Compute bounding box around balloon tracks
-function computeBounds(flights) {
-  let minLat = 90,
-    maxLat = -90,
-    minLon = 180,
-    maxLon = -180;
-
-  for (const f of flights) {
-    for (const p of f.track) {
-      minLat = Math.min(minLat, p.lat);
-      maxLat = Math.max(maxLat, p.lat);
-      minLon = Math.min(minLon, p.lon);
-      maxLon = Math.max(maxLon, p.lon);
+// Trim tracks to MAX_TRACK_POINTS for the payload
+function downsampleFlights(flights) {
+  return flights.map((f) => ({ ...f, track: downsample(f.track) }));
+}
+
+// Run `fn` over items with at most `limit` calls in flight
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
     }
-  }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
-  const margin = 1; // MUCH smaller region → fewer fires
-  minLat = Math.max(minLat - margin, -89);
-  maxLat = Math.min(maxLat + margin, 89);
-  minLon = Math.max(minLon - margin, -179);
-  maxLon = Math.min(maxLon + margin, 179);
+// Cache keys of the FIRMS requests behind the latest live scene
+let lastFirmsKeys = [];
 
-  return { minLat, maxLat, minLon, maxLon };
-}
+// Fetch raw FIRMS detections for every product and coverage tile, each
+// cached per product + tile. A failed request just contributes nothing.
+async function fetchFires(coverage) {
+  if (!sources.fires.available) return [];
 
-// Fetch FIRMS fires (LIMIT output)
-async function fetchFires(bounds) {
-  const key = process.env.FIRMS_KEY;
-  const product = process.env.FIRMS_PRODUCT || "VIIRS_SNPP_NRT";
+  const requests = FIRMS_PRODUCTS.flatMap((product) =>
+    coverage.tiles.map((tile) => ({ product, tile, key: `${product}|${tile.minLon},${tile.minLat},${tile.maxLon},${tile.maxLat}` }))
+  );
+  lastFirmsKeys = requests.map((r) => r.key);
 
-  if (!key) {
-    console.warn("No FIRMS_KEY - returning empty fires.");
-    return [];
+  const results = await mapLimit(requests, FIRMS_CONCURRENCY, ({ product, tile, key }) =>
+    firmsCache.get(
+      key,
+      () => trackFetch("firms", key, () => sources.fires.fetchArea(product, tile), (fires) => fires.length),
+      { revalidate: true }
+    )
+  );
+
+  // Tiles share edges, so a detection on one can come back twice
+  const byId = new Map();
+  for (const fires of results) {
+    for (const fire of fires ?? []) {
+      if (coverage.contains(fire.lat, fire.lon)) byId.set(fire.id, fire);
+    }
   }
+  return [...byId.values()];
+}
 
-  const { minLat, minLon, maxLat, maxLon } = bounds;
+// ------------------------------------------------------------
+//  BUILD SCENE (SWR-CACHED, SHARED IN-FLIGHT BUILD)
+// ------------------------------------------------------------
 
-  const url = `https://firms.modaps.eosdis.nasa.gov/api/area/csv/${key}/${product}/${minLon},${minLat},${maxLon},${maxLat}/2`;
+// Latest live scene and its per-hour fetch report, for /api/health
+// (which must not trigger a build)
+let lastLiveScene = null;
+let lastBalloonHours = [];
 
-  console.log("FIRMS URL:", url);
+async function buildScene() {
+  const scene = await assembleScene();
+  lastLiveScene = scene;
 
+  // Alerts must never take the scene down with them
   try {
-    const res = await fetch(url);
-    if (!res.ok) return [];
-
-    const text = await res.text();
-    const lines = text.trim().split(/\r?\n/);
-    if (lines.length <= 1) return [];
-
-    const headers = lines[0].split(",");
-    const fires = lines.slice(1).map((line) => {
-      const cols = line.split(",");
-      const obj = {};
-      headers.forEach((h, i) => (obj[h] = cols[i]));
-
-      const lat = parseFloat(obj.latitude);
-      const lon = parseFloat(obj.longitude);
-      if (isNaN(lat) || isNaN(lon)) return null;
-
-      return {
-        lat,
-        lon,
-        brightness: obj.brightness ? Number(obj.brightness) : null,
-        confidence: obj.confidence ?? null,
-        acq_date: obj.acq_date ?? null,
-        acq_time: obj.acq_time ?? null,
-        satellite: obj.satellite ?? null,
-      };
-    });
-
-    // Keep only closest 300 to avoid huge payloads
-    return fires.filter(Boolean).slice(0, 300);
-  } catch (e) {
-    console.error("FIRMS fetch error", e);
-    return [];
+    await evaluateAlerts(scene);
+  } catch (err) {
+    console.error("Alert evaluation error", err);
   }
-}
 
-// Simple Haversine
-function haversineKm(lat1, lon1, lat2, lon2) {
-  const R = 6371;
-  const toRad = (d) => (d * Math.PI) / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) *
-      Math.cos(toRad(lat2)) *
-      Math.sin(dLon / 2) ** 2;
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  publishScene(toClientScene(scene));
+  return scene;
 }
 
-function summarizeFlights(flights, fires) {
-  return flights.map((f) => {
-    let minDist = Infinity;
-    let closest = null;
-
-    // Only compare f.latest to fires → MUCH faster
-    for (const fire of fires) {
-      const d = haversineKm(f.latest.lat, f.latest.lon, fire.lat, fire.lon);
-      if (d < minDist) {
-        minDist = d;
-        closest = fire;
-      }
-    }
+async function assembleScene() {
+  // Replayed data is already history (or a hand-made fixture): keep it
+  // out of the archive
+  const archiving = sources.mode !== "replay";
+
+  const { frames, hours } = await loadBalloonFrames();
+  lastBalloonHours = hours;
+  if (archiving) await archiveFrames(frames);
 
+  const { flights, strays } = buildFlights(frames, lastLiveScene?.flights);
+  const quality = dataQuality(flights, strays, hours);
+  if (!flights.length) {
     return {
-      ...f,
-      fire_summary: {
-        min_distance_km: isFinite(minDist) ? minDist : null,
-        closest_fire: closest,
-      },
+      flights: [],
+      fires: [],
+      fire_events: [],
+      plumes: [],
+      regions: [],
+      watch_locations: watchStatus(listWatchLocations(), {}),
+      source: SOURCE_INFO,
+      data_quality: quality,
     };
-  });
+  }
+
+  const coverage = computeCoverage(flights, COVERAGE);
+  // Archive what each sensor saw; merging is redone on every read
+  const detections = await fetchFires(coverage);
+  if (archiving) await archiveFires(detections);
+  const fires = labelFires(mergeDetections(detections, { windowMinutes: FIRMS_MERGE_WINDOW_MIN }));
+  const fireEvents = labelEvents(
+    classifyFireEvents(clusterFires(fires, FIRE_CLUSTER), fires, {
+      history: readFires(Date.now() - FIRE_HISTORY_MS, Date.now()),
+      flights,
+      newIgnitionKm: NEW_IGNITION_KM,
+    })
+  );
+  const plumes = buildPlumes(fireEvents, windVectors(flights), { hours: PLUME_HOURS });
+
+  const flightsWithFires = assessRisk(
+    forecastFlights(
+      summarizeFlights(addTrackMetrics(flights, fires), fires, {
+        radiiKm: PROXIMITY_RADII_KM,
+        events: fireEvents,
+        plumes,
+      }),
+      fires,
+      { hours: FORECAST_HOURS }
+    ),
+    fires,
+    { events: fireEvents }
+  );
+
+  return {
+    flights: flightsWithFires,
+    fires,
+    fire_events: fireEvents,
+    plumes,
+    regions: coverage.regions,
+    watch_locations: watchStatus(listWatchLocations(), {
+      flights: flightsWithFires,
+      fires,
+      fire_events: fireEvents,
+      plumes,
+    }),
+    source: SOURCE_INFO,
+    data_quality: quality,
+    generated_at: new Date().toISOString(),
+  };
 }
 
-// ------------------------------------------------------------
-//  BUILD SCENE WITH 5-MIN CACHE
-// ------------------------------------------------------------
+// Rejection counts for a scene: per-hour validation plus teleports (stray
+// points and points dropped from tracks), and which hours failed or were
+// corrupted
+function dataQuality(flights, strays, hours = []) {
+  const rejected = emptyRejections();
+  for (const h of hours) addRejections(rejected, h.rejected);
+  rejected.teleport += strays + flights.reduce((sum, f) => sum + f.association.rejected_points, 0);
 
-let cachedScene = null;
-let lastSceneTime = 0;
+  return {
+    rejected,
+    failed_hours: hours.filter((h) => !h.ok && !h.corrupt).map((h) => ({ timestamp: h.timestamp, error: h.error })),
+    corrupt_hours: hours.filter((h) => h.corrupt).map((h) => ({ timestamp: h.timestamp, reason: h.corrupt })),
+  };
+}
 
-async function buildScene() {
-  const flights = await loadBalloonFlights();
-  if (!flights.length) return { flights: [], fires: [], bounds: null };
+// Same scene shape, served from the archive for an arbitrary time range.
+// Tracks that overlap the live window keep their live ids.
+function buildArchivedScene(from, to) {
+  const { flights, strays } = buildFlights(readFrames(from, to), lastLiveScene?.flights);
+  const range = { from: new Date(from).toISOString(), to: new Date(to).toISOString() };
+  const quality = dataQuality(flights, strays);
+  if (!flights.length) {
+    return {
+      flights: [],
+      fires: [],
+      fire_events: [],
+      plumes: [],
+      regions: [],
+      watch_locations: watchStatus(listWatchLocations(), {}),
+      range,
+      data_quality: quality,
+    };
+  }
 
-  const bounds = computeBounds(flights);
-  const fires = await fetchFires(bounds);
-  const flightsWithFires = summarizeFlights(flights, fires);
+  const coverage = computeCoverage(flights, COVERAGE);
+  const nearby = readFires(from, to).filter((f) => coverage.contains(f.lat, f.lon));
+  const fires = labelFires(mergeDetections(nearby, { windowMinutes: FIRMS_MERGE_WINDOW_MIN }));
+  const fireEvents = labelEvents(
+    classifyFireEvents(clusterFires(fires, FIRE_CLUSTER), fires, {
+      history: readFires(from - FIRE_HISTORY_MS, to),
+      flights,
+      newIgnitionKm: NEW_IGNITION_KM,
+    })
+  );
+  const plumes = buildPlumes(fireEvents, windVectors(flights), { hours: PLUME_HOURS });
+  const flightsWithFires = assessRisk(
+    summarizeFlights(addTrackMetrics(flights, fires), fires, {
+      radiiKm: PROXIMITY_RADII_KM,
+      events: fireEvents,
+      plumes,
+    }),
+    fires,
+    { events: fireEvents }
+  );
 
   return {
     flights: flightsWithFires,
     fires,
-    bounds,
+    fire_events: fireEvents,
+    plumes,
+    regions: coverage.regions,
+    watch_locations: watchStatus(listWatchLocations(), {
+      flights: flightsWithFires,
+      fires,
+      fire_events: fireEvents,
+      plumes,
+    }),
+    range,
+    data_quality: quality,
     generated_at: new Date().toISOString(),
   };
 }
 
+// from/to query → { range } (null range = live scene) or { error }
+function parseRange(query) {
+  if (query.from == null && query.to == null) return { range: null };
+
+  const to = parseTime(query.to) ?? Date.now();
+  const from = parseTime(query.from) ?? to - 24 * HOUR_MS;
+
+  if (isNaN(from) || isNaN(to)) return { error: "from/to must be ISO dates or epoch milliseconds" };
+  if (from > to) return { error: "from must be before to" };
+  return { range: { from, to } };
+}
+
+// Full-resolution scene: archived for a range, otherwise live. Concurrent
+// callers share one build; stale scenes are served while the next one is
+// built in the background
+async function loadScene(range) {
+  if (range) return buildArchivedScene(range.from, range.to);
+  return sceneCache.get("live", buildScene);
+}
+
+// The scene as the map gets it, with tracks trimmed to MAX_TRACK_POINTS
+const clientScenes = new WeakMap();
+function toClientScene(scene) {
+  if (!clientScenes.has(scene)) {
+    clientScenes.set(scene, { ...scene, flights: downsampleFlights(scene.flights) });
+  }
+  return clientScenes.get(scene);
+}
+
 // ------------------------------------------------------------
 //  API ROUTES
 // ------------------------------------------------------------
 
+// Optional bbox=minLon,minLat,maxLon,maxLat and zoom=N return only what is
+// in view, with tracks simplified for that zoom
 app.get("/api/scene", async (req, res) => {
-  try {
-    const now = Date.now();
-
-    if (cachedScene && now - lastSceneTime < 5 * 60 * 1000) {
-      return res.json(cachedScene);
-    }
+  const { range, error } = parseRange(req.query);
+  if (error) return res.status(400).json({ error });
+  const { viewport, error: viewportError } = parseViewport(req.query);
+  if (viewportError) return res.status(400).json({ error: viewportError });
 
-    const scene = await buildScene();
-    cachedScene = scene;
-    lastSceneTime = now;
+  try {
+    const scene = await loadScene(range);
+    if (!viewport) return res.json(toClientScene(scene));
 
-    res.json(scene);
+    const visible = sceneInViewport(scene, viewport);
+    res.json({ ...visible, flights: downsampleFlights(visible.flights) });
   } catch (err) {
     console.error("Scene error", err);
     res.status(500).json({ error: "Failed to build scene" });
   }
 });
 
+// Live updates: full scene on connect, then a delta per refresh
+app.get("/api/stream", async (req, res) => {
+  try {
+    const scene = await sceneCache.get("live", buildScene);
+    attachStreamClient(req, res, toClientScene(scene));
+  } catch (err) {
+    console.error("Stream error", err);
+    res.status(500).json({ error: "Failed to build scene" });
+  }
+});
+
+// While anyone is streaming, keep the scene refreshing without waiting
+// for a request to notice it went stale
+setInterval(() => {
+  if (!streamClientCount()) return;
+  sceneCache.get("live", buildScene).catch((err) => console.error("Scene refresh error", err));
+}, Math.min(FLIGHTS_CACHE_TTL_MS, FIRMS_CACHE_TTL_MS));
+
+// ------------------------------------------------------------
+//  EXPORTS (full-resolution tracks, same from/to and bbox filters as
+//  the scene; zoom only matters for drawing, so it is ignored)
+// ------------------------------------------------------------
+
+const EXPORTS = {
+  "flights.geojson": ["application/geo+json", (scene) => JSON.stringify(flightsToGeoJSON(scene.flights))],
+  "flights.kml": ["application/vnd.google-earth.kml+xml", (scene) => flightsToKML(scene.flights)],
+  "flights.csv": ["text/csv", (scene) => flightsToCSV(scene.flights)],
+  "fires.geojson": ["application/geo+json", (scene) => JSON.stringify(firesToGeoJSON(scene.fires))],
+  "fires.kml": ["application/vnd.google-earth.kml+xml", (scene) => firesToKML(scene.fires)],
+  "fires.csv": ["text/csv", (scene) => firesToCSV(scene.fires)],
+};
+
+app.get("/api/export/:file", async (req, res) => {
+  const format = EXPORTS[req.params.file];
+  if (!format) {
+    return res.status(404).json({ error: `Unknown export; try one of ${Object.keys(EXPORTS).join(", ")}` });
+  }
+
+  const { range, error } = parseRange(req.query);
+  if (error) return res.status(400).json({ error });
+  const { viewport, error: viewportError } = parseViewport(req.query);
+  if (viewportError) return res.status(400).json({ error: viewportError });
+
+  try {
+    const [contentType, render] = format;
+    const scene = await loadScene(range);
+    // No zoom, so tracks are not simplified
+    const visible = viewport ? sceneInViewport(scene, { bbox: viewport.bbox, zoom: null }) : scene;
+    res.type(contentType).attachment(req.params.file).send(render(visible));
+  } catch (err) {
+    console.error("Export error", err);
+    res.status(500).json({ error: "Failed to build export" });
+  }
+});
+
+app.get("/api/flights/:id/track.gpx", async (req, res) => {
+  const { range, error } = parseRange(req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const scene = await loadScene(range);
+    const flight = scene.flights.find((f) => f.id === req.params.id);
+    if (!flight) return res.status(404).json({ error: "Flight not found" });
+
+    res.type("application/gpx+xml").attachment(`${flight.id}.gpx`).send(flightToGPX(flight));
+  } catch (err) {
+    console.error("GPX export error", err);
+    res.status(500).json({ error: "Failed to build export" });
+  }
+});
+
+// ------------------------------------------------------------
+//  RESOURCES: FLIGHTS AND FIRES
+//  Filtered, paginated views of the (full-resolution) scene. All of
+//  them accept from/to to query the archive instead of the live scene.
+// ------------------------------------------------------------
+
+// Parse from/to plus the resource's own parameters, or answer 400
+function parseResourceQuery(req, res, parse) {
+  const { range, error } = parseRange(req.query);
+  const { errors = [], ...parsed } = parse(req.query);
+  if (error) errors.unshift(error);
+  if (errors.length) {
+    res.status(400).json({ error: "Invalid query", details: errors });
+    return null;
+  }
+  return { range, ...parsed };
+}
+
+app.get("/api/flights", async (req, res) => {
+  const parsed = parseResourceQuery(req, res, parseFlightQuery);
+  if (!parsed) return;
+
+  try {
+    const scene = await loadScene(parsed.range);
+    res.json(queryFlights(scene.flights, parsed.filters));
+  } catch (err) {
+    console.error("Flights query error", err);
+    res.status(500).json({ error: "Failed to load flights" });
+  }
+});
+
+// One flight with its full-resolution track
+app.get("/api/flights/:id", async (req, res) => {
+  const parsed = parseResourceQuery(req, res, () => ({}));
+  if (!parsed) return;
+
+  try {
+    const scene = await loadScene(parsed.range);
+    const flight = scene.flights.find((f) => f.id === req.params.id);
+    if (!flight) return res.status(404).json({ error: "Flight not found" });
+    res.json(flight);
+  } catch (err) {
+    console.error("Flight error", err);
+    res.status(500).json({ error: "Failed to load flight" });
+  }
+});
+
+app.get("/api/fires", async (req, res) => {
+  const parsed = parseResourceQuery(req, res, parseFireQuery);
+  if (!parsed) return;
+
+  try {
+    const scene = await loadScene(parsed.range);
+    res.json(queryFires(scene.fires, parsed.filters));
+  } catch (err) {
+    console.error("Fires query error", err);
+    res.status(500).json({ error: "Failed to load fires" });
+  }
+});
+
+app.get("/api/fires/:id", async (req, res) => {
+  const parsed = parseResourceQuery(req, res, () => ({}));
+  if (!parsed) return;
+
+  try {
+    const fire = findFire((await loadScene(parsed.range)).fires, req.params.id);
+    if (!fire) return res.status(404).json({ error: "Fire not found" });
+    res.json(fire);
+  } catch (err) {
+    console.error("Fire error", err);
+    res.status(500).json({ error: "Failed to load fire" });
+  }
+});
+
+// Flights whose track passed within radius_km (default 100) of a fire
+app.get("/api/fires/:id/nearby-flights", async (req, res) => {
+  const parsed = parseResourceQuery(req, res, parseNearbyQuery);
+  if (!parsed) return;
+
+  try {
+    const scene = await loadScene(parsed.range);
+    const fire = findFire(scene.fires, req.params.id);
+    if (!fire) return res.status(404).json({ error: "Fire not found" });
+
+    const { radiusKm, page } = parsed.options;
+    res.json({ fire, radius_km: radiusKm, ...paginate(nearbyFlights(fire, scene.flights, radiusKm), page) });
+  } catch (err) {
+    console.error("Nearby flights error", err);
+    res.status(500).json({ error: "Failed to find nearby flights" });
+  }
+});
+
+// ------------------------------------------------------------
+//  WINDS
+//  Wind field measured by the balloons themselves, per altitude
+//  band, for the live scene or an archived range (from/to).
+// ------------------------------------------------------------
+
+// Wind samples of a scene, computed once per scene
+const sceneWinds = new WeakMap();
+function windsOf(scene) {
+  if (!sceneWinds.has(scene)) sceneWinds.set(scene, windVectors(scene.flights));
+  return sceneWinds.get(scene);
+}
+
+app.get("/api/winds", async (req, res) => {
+  const parsed = parseResourceQuery(req, res, parseWindQuery);
+  if (!parsed) return;
+
+  try {
+    const scene = await loadScene(parsed.range);
+    res.json(windLayer(windsOf(scene), scene.regions, parsed.options));
+  } catch (err) {
+    console.error("Winds error", err);
+    res.status(500).json({ error: "Failed to compute winds" });
+  }
+});
+
+// ------------------------------------------------------------
+//  REGION STATS
+//  Balloons, fires and close encounters per admin region /
+//  country / ocean, for the live scene or an archived range.
+// ------------------------------------------------------------
+
+// Optional close_km (default 10, at most the largest proximity radius) sets
+// what counts as a close encounter
+app.get("/api/stats/regions", async (req, res) => {
+  const parsed = parseResourceQuery(req, res, (query) =>
+    parseRegionStatsQuery(query, { maxCloseKm: Math.max(...PROXIMITY_RADII_KM) })
+  );
+  if (!parsed) return;
+
+  try {
+    const scene = await loadScene(parsed.range);
+    res.json({ ...regionStats(scene, parsed.options), generated_at: scene.generated_at ?? null });
+  } catch (err) {
+    console.error("Region stats error", err);
+    res.status(500).json({ error: "Failed to compute region stats" });
+  }
+});
+
+// ------------------------------------------------------------
+//  ANALYSIS
+//  Whether balloons move differently near fires, from the scene's
+//  full-resolution tracks (see analysis.js).
+// ------------------------------------------------------------
+
+// near_km (default 50), baseline_km (default 200), baseline=band|flight
+app.get("/api/analysis/fire-influence", async (req, res) => {
+  const parsed = parseResourceQuery(req, res, parseInfluenceQuery);
+  if (!parsed) return;
+
+  try {
+    const scene = await loadScene(parsed.range);
+    res.json({ ...fireInfluence(scene, parsed.options), generated_at: scene.generated_at ?? null });
+  } catch (err) {
+    console.error("Fire influence error", err);
+    res.status(500).json({ error: "Failed to analyse fire influence" });
+  }
+});
+
+// ------------------------------------------------------------
+//  HEALTH
+//  Upstream fetch outcomes and data-quality counts behind the
+//  latest live scene. Never builds a scene itself.
+// ------------------------------------------------------------
+
+app.get("/api/health", (req, res) => {
+  const requests = lastFirmsKeys.map(
+    (key) => lastFetch("firms", key) ?? { source: "firms", key, ok: null, error: "not fetched yet" }
+  );
+  const firms = {
+    status: firmsStatus(sources.fires.available, requests),
+    products: FIRMS_PRODUCTS,
+    requests: requests.length,
+    failed: requests.filter((r) => r.ok === false).length,
+    detections: requests.reduce((sum, r) => sum + (r.items ?? 0), 0),
+    cache_age_ms: Math.max(0, ...lastFirmsKeys.map((key) => firmsCache.age(key) ?? 0)),
+    errors: requests.filter((r) => r.ok === false).map(({ key, error, at }) => ({ key, error, at })),
+  };
+  // Refresh ages: the report was taken at build time
+  const balloonHours = lastBalloonHours.map((h) => ({ ...h, cache_age_ms: snapshotCache.age(Date.parse(h.timestamp)) }));
+
+  res.json({
+    status: lastLiveScene ? overallStatus({ balloonHours, firms }) : "starting",
+    source: SOURCE_INFO,
+    scene: lastLiveScene && {
+      generated_at: lastLiveScene.generated_at ?? null,
+      age_ms: sceneCache.age("live"),
+      flights: lastLiveScene.flights.length,
+      fires: lastLiveScene.fires.length,
+    },
+    balloons: {
+      hours: balloonHours,
+      max_speed_kmh: MAX_SPEED_KMH,
+    },
+    data_quality: lastLiveScene?.data_quality ?? null,
+    firms,
+    stream_clients: streamClientCount(),
+    checked_at: new Date().toISOString(),
+  });
+});
+
+// ------------------------------------------------------------
+//  ALERTS
+// ------------------------------------------------------------
+
+app.get("/api/alerts", (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  res.json({ events: listEvents({ activeOnly: req.query.active === "true", limit }) });
+});
+
+app.get("/api/alerts/rules", (req, res) => {
+  res.json({ rules: listRules() });
+});
+
+app.get("/api/alerts/rules/:id", (req, res) => {
+  const rule = getRule(req.params.id);
+  if (!rule) return res.status(404).json({ error: "Rule not found" });
+  res.json(rule);
+});
+
+app.post("/api/alerts/rules", async (req, res) => {
+  const problems = validateRule(req.body);
+  if (problems.length) return res.status(400).json({ error: "Invalid rule", details: problems });
+
+  try {
+    res.status(201).json(await createRule(req.body));
+  } catch (err) {
+    console.error("Rule create error", err);
+    res.status(500).json({ error: "Failed to save rule" });
+  }
+});
+
+app.put("/api/alerts/rules/:id", async (req, res) => {
+  const problems = validateRule(req.body);
+  if (problems.length) return res.status(400).json({ error: "Invalid rule", details: problems });
+
+  try {
+    const rule = await updateRule(req.params.id, req.body);
+    if (!rule) return res.status(404).json({ error: "Rule not found" });
+    res.json(rule);
+  } catch (err) {
+    console.error("Rule update error", err);
+    res.status(500).json({ error: "Failed to save rule" });
+  }
+});
+
+app.delete("/api/alerts/rules/:id", async (req, res) => {
+  try {
+    if (!(await deleteRule(req.params.id))) return res.status(404).json({ error: "Rule not found" });
+    res.status(204).end();
+  } catch (err) {
+    console.error("Rule delete error", err);
+    res.status(500).json({ error: "Failed to delete rule" });
+  }
+});
+
+// ------------------------------------------------------------
+//  WATCH LOCATIONS
+//  Listings carry each location's status against the live scene
+//  (or an archived range), recomputed so edits show up at once.
+// ------------------------------------------------------------
+
+app.get("/api/watch-locations", async (req, res) => {
+  const parsed = parseResourceQuery(req, res, () => ({}));
+  if (!parsed) return;
+
+  try {
+    const scene = await loadScene(parsed.range);
+    res.json({ locations: watchStatus(listWatchLocations(), scene) });
+  } catch (err) {
+    console.error("Watch locations error", err);
+    res.status(500).json({ error: "Failed to load watch locations" });
+  }
+});
+
+app.get("/api/watch-locations/:id", async (req, res) => {
+  const location = getWatchLocation(req.params.id);
+  if (!location) return res.status(404).json({ error: "Watch location not found" });
+  const parsed = parseResourceQuery(req, res, () => ({}));
+  if (!parsed) return;
+
+  try {
+    const [status] = watchStatus([location], await loadScene(parsed.range));
+    res.json(status);
+  } catch (err) {
+    console.error("Watch location error", err);
+    res.status(500).json({ error: "Failed to load watch location" });
+  }
+});
+
+app.post("/api/watch-locations", async (req, res) => {
+  const problems = validateWatchLocation(req.body);
+  if (problems.length) return res.status(400).json({ error: "Invalid watch location", details: problems });
+
+  try {
+    res.status(201).json(await createWatchLocation(req.body));
+  } catch (err) {
+    console.error("Watch location create error", err);
+    res.status(500).json({ error: "Failed to save watch location" });
+  }
+});
+
+app.put("/api/watch-locations/:id", async (req, res) => {
+  const problems = validateWatchLocation(req.body);
+  if (problems.length) return res.status(400).json({ error: "Invalid watch location", details: problems });
+
+  try {
+    const location = await updateWatchLocation(req.params.id, req.body);
+    if (!location) return res.status(404).json({ error: "Watch location not found" });
+    res.json(location);
+  } catch (err) {
+    console.error("Watch location update error", err);
+    res.status(500).json({ error: "Failed to save watch location" });
+  }
+});
+
+app.delete("/api/watch-locations/:id", async (req, res) => {
+  try {
+    if (!(await deleteWatchLocation(req.params.id))) {
+      return res.status(404).json({ error: "Watch location not found" });
+    }
+    res.status(204).end();
+  } catch (err) {
+    console.error("Watch location delete error", err);
+    res.status(500).json({ error: "Failed to delete watch location" });
+  }
+});
+
 // ------------------------------------------------------------
 //  SPA FALLBACK (MUST BE LAST)
 // ------------------------------------------------------------
@@ -0,0 +1,42 @@
+// ------------------------------------------------------------
+//  PER-POINT TRACK METRICS
+//  Ground speed, heading and climb rate from each point's incoming
+//  segment, and the distance to the nearest fire at that point.
+// ------------------------------------------------------------
+
+import { bearingDeg, haversineKm } from "./geo.js";
+import { createGridIndex } from "./spatial.js";
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+
+// Kinematics of the segment a -> b, or nulls when it has no duration
+function segmentMetrics(a, b) {
+  const hours = (Date.parse(b.timestamp) - Date.parse(a.timestamp)) / 3600_000;
+  if (!(hours > 0)) return { speed_kmh: null, heading_deg: null, climb_rate_m_per_h: null };
+
+  const climbable = typeof a.altitude === "number" && typeof b.altitude === "number";
+  return {
+    speed_kmh: round(haversineKm(a.lat, a.lon, b.lat, b.lon) / hours),
+    heading_deg: round(bearingDeg(a.lat, a.lon, b.lat, b.lon), 1),
+    // The feed reports altitude in km
+    climb_rate_m_per_h: climbable ? round(((b.altitude - a.altitude) * 1000) / hours, 1) : null,
+  };
+}
+
+/**
+ * Add `speed_kmh`, `heading_deg`, `climb_rate_m_per_h` and
+ * `nearest_fire_km` to every track point. Each point takes the segment
+ * that arrives at it; the first point takes the one leaving it.
+ */
+export function addTrackMetrics(flights, fires) {
+  const index = createGridIndex(fires);
+
+  return flights.map((f) => ({
+    ...f,
+    track: f.track.map((p, i) => {
+      const [a, b] = i > 0 ? [f.track[i - 1], p] : [p, f.track[1] ?? p];
+      const nearest = fires.length ? index.nearest(p.lat, p.lon) : null;
+      return { ...p, ...segmentMetrics(a, b), nearest_fire_km: nearest ? round(nearest.distanceKm) : null };
+    }),
+  }));
+}
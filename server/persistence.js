@@ -0,0 +1,95 @@
+// ------------------------------------------------------------
+//  FIRE PERSISTENCE
+//  Tells a new ignition from a fire that has burned for days by
+//  checking each event against earlier (archived) detections at
+//  the same place, and classifies it from how its detections
+//  are spread over time: new, growing, persistent or fading.
+// ------------------------------------------------------------
+
+import { createGridIndex } from "./spatial.js";
+
+const HOUR_MS = 3600_000;
+
+export const FIRE_STATUSES = ["new", "growing", "persistent", "fading"];
+export const DEFAULT_HISTORY_DAYS = 7;
+export const DEFAULT_NEW_IGNITION_KM = 50;
+const MATCH_KM = 3; // an earlier detection this close is the same fire
+const NEW_HOURS = 12; // first seen this recently = new ignition
+const TREND_HOURS = 12; // growth compares the last 12 h with the 12 h before
+const GROWING_RATIO = 1.25;
+const MAX_NEAR_FLIGHTS = 10;
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+const timeOf = (f) => Date.parse(f.acquired_at);
+
+// Closest approach of each flight's track to any of the detections
+function flightsNear(detections, flights, radiusKm) {
+  const index = createGridIndex(detections);
+  const near = [];
+  for (const f of flights) {
+    let best = null;
+    for (const p of f.track) {
+      const hit = index.nearest(p.lat, p.lon, radiusKm);
+      if (hit && (!best || hit.distanceKm < best.distance_km)) {
+        best = { flight_id: f.id, distance_km: round(hit.distanceKm), timestamp: p.timestamp };
+      }
+    }
+    if (best) near.push(best);
+  }
+  return near.sort((a, b) => a.distance_km - b.distance_km).slice(0, MAX_NEAR_FLIGHTS);
+}
+
+/**
+ * Add persistence fields to every fire event:
+ *
+ * - `first_seen`: earliest detection of this fire, including `history`
+ *   (earlier detections, e.g. from the archive) at the same place
+ * - `age_hours`, `status` (one of FIRE_STATUSES) and
+ *   `growth_rate_per_h`: change in detections per hour, last TREND_HOURS
+ *   against the TREND_HOURS before
+ * - `near_flights`: for new ignitions, flights whose track came within
+ *   `newIgnitionKm`, closest first
+ *
+ * Times are relative to the newest detection, so a replayed recording
+ * classifies the same way it did live.
+ */
+export function classifyFireEvents(events, fires, { history = [], flights = [], newIgnitionKm } = {}) {
+  const byId = new Map(fires.map((f) => [f.id, f]));
+  const historyIndex = createGridIndex(history);
+  const now = fires.reduce((latest, f) => Math.max(latest, timeOf(f) || -Infinity), -Infinity);
+  const radiusKm = newIgnitionKm ?? DEFAULT_NEW_IGNITION_KM;
+
+  return events.map((event) => {
+    const detections = event.detection_ids.map((id) => byId.get(id)).filter(Boolean);
+    const times = detections.map(timeOf).filter(Number.isFinite);
+    if (!times.length || !Number.isFinite(now)) {
+      return { ...event, status: null, first_seen: null, age_hours: null, growth_rate_per_h: null, near_flights: [] };
+    }
+
+    let firstSeen = Math.min(...times);
+    for (const d of detections) {
+      for (const { item } of historyIndex.within(d.lat, d.lon, MATCH_KM)) {
+        const time = timeOf(item);
+        if (time < firstSeen) firstSeen = time;
+      }
+    }
+    const lastSeen = Math.max(...times);
+
+    const recent = times.filter((t) => t > now - TREND_HOURS * HOUR_MS).length;
+    const earlier = times.filter((t) => t <= now - TREND_HOURS * HOUR_MS && t > now - 2 * TREND_HOURS * HOUR_MS).length;
+
+    let status = "persistent";
+    if (firstSeen > now - NEW_HOURS * HOUR_MS) status = "new";
+    else if (lastSeen <= now - TREND_HOURS * HOUR_MS) status = "fading";
+    else if (recent > earlier * GROWING_RATIO) status = "growing";
+
+    return {
+      ...event,
+      status,
+      first_seen: new Date(firstSeen).toISOString(),
+      age_hours: round((now - firstSeen) / HOUR_MS, 1),
+      growth_rate_per_h: round((recent - earlier) / TREND_HOURS, 3),
+      near_flights: status === "new" ? flightsNear(detections, flights, radiusKm) : [],
+    };
+  });
+}
@@ -0,0 +1,190 @@
+// ------------------------------------------------------------
+//  SMOKE PLUMES
+//  A downwind corridor from every fire event, steered by the
+//  wind the balloons measured near it, with a Gaussian-style
+//  crosswind spread that widens with distance. Track points are
+//  scored by the relative smoke intensity they passed through.
+// ------------------------------------------------------------
+
+import { bearingDeg, destinationPoint, haversineKm, toRad, wrapLon } from "./geo.js";
+import { createGridIndex } from "./spatial.js";
+import { INFLUENCE_KM, interpolateWind } from "./winds.js";
+
+const HOUR_MS = 3600_000;
+
+export const DEFAULT_PLUME_HOURS = 6; // smoke is followed this many hours downwind
+const MIN_PLUME_KM = 20; // even near-calm air carries smoke somewhere
+const MAX_PLUME_KM = 300;
+const SOURCE_SIGMA_KM = 2; // crosswind spread at the fire
+const SPREAD = 0.15; // sigma growth per km downwind
+const CORRIDOR_SIGMAS = 2; // the drawn corridor is ±2 sigma wide
+const CORRIDOR_STEPS = 12;
+const WIND_TIME_WINDOW_H = 6; // samples this close to the fire's time are preferred
+const REVISIT_HOURS = 12; // a fire may burn this long before a satellite first sees it
+export const EXPOSED_INTENSITY = 0.02; // counts towards hours_exposed from here up
+const MAX_PLUMES_LISTED = 20;
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+
+// Keep longitudes continuous with the source so corridors don't wrap the map
+const unwrapLon = (lon, ref) => ref + wrapLon(lon - ref);
+
+const sigmaAt = (downwindKm) => SOURCE_SIGMA_KM + SPREAD * downwindKm;
+
+function corridor(source, downwindDeg, lengthKm) {
+  const left = [];
+  const right = [];
+  for (let i = 0; i <= CORRIDOR_STEPS; i++) {
+    const x = (lengthKm * i) / CORRIDOR_STEPS;
+    const centre = destinationPoint(source.lat, source.lon, downwindDeg, x);
+    const halfWidth = CORRIDOR_SIGMAS * sigmaAt(x);
+    for (const [side, out] of [
+      [-90, left],
+      [90, right],
+    ]) {
+      const edge = destinationPoint(centre.lat, centre.lon, downwindDeg + side, halfWidth);
+      out.push([round(edge.lat, 4), round(unwrapLon(edge.lon, source.lon), 4)]);
+    }
+  }
+  return [...left, ...right.reverse()];
+}
+
+/**
+ * One plume per fire event that has balloon wind samples within reach.
+ * Length is the distance the local wind carries smoke in `hours`.
+ */
+export function buildPlumes(events, windVectors, { hours = DEFAULT_PLUME_HOURS } = {}) {
+  const index = createGridIndex(windVectors, 1);
+
+  return events.flatMap((event) => {
+    const { lat, lon } = event.centroid;
+    const first = Date.parse(event.first_acquired);
+    const last = Date.parse(event.last_acquired);
+
+    const hits = index.within(lat, lon, INFLUENCE_KM);
+    const timely = Number.isFinite(last)
+      ? hits.filter((h) => Math.abs(Date.parse(h.item.timestamp) - last) <= WIND_TIME_WINDOW_H * HOUR_MS)
+      : [];
+    const wind = interpolateWind(timely.length ? timely : hits);
+    if (!wind) return [];
+
+    const downwindDeg = (wind.direction_deg + 180) % 360;
+    const lengthKm = Math.min(MAX_PLUME_KM, Math.max(MIN_PLUME_KM, wind.speed_kmh * hours));
+
+    return [
+      {
+        id: `plume-${event.id}`,
+        event_id: event.id,
+        source: event.centroid,
+        wind,
+        downwind_deg: round(downwindDeg, 1),
+        length_km: round(lengthKm, 1),
+        active_from: Number.isFinite(first) ? new Date(first - REVISIT_HOURS * HOUR_MS).toISOString() : null,
+        active_to: Number.isFinite(last) ? new Date(last + hours * HOUR_MS).toISOString() : null,
+        corridor: corridor(event.centroid, downwindDeg, lengthKm),
+      },
+    ];
+  });
+}
+
+/**
+ * Relative smoke intensity (1 at the fire) of a plume at a point: the
+ * crosswind Gaussian, diluted as the plume widens. Zero outside it.
+ */
+function intensityAt(plume, lat, lon) {
+  const { source } = plume;
+  const distanceKm = haversineKm(source.lat, source.lon, lat, lon);
+  const angle = toRad(bearingDeg(source.lat, source.lon, lat, lon) - plume.downwind_deg);
+  const downwind = distanceKm * Math.cos(angle);
+  const crosswind = distanceKm * Math.sin(angle);
+
+  // Upwind of the fire only its immediate surroundings are smoky
+  if (downwind < 0) return Math.exp(-(distanceKm ** 2) / (2 * SOURCE_SIGMA_KM ** 2));
+  if (downwind > plume.length_km) return 0;
+
+  const sigma = sigmaAt(downwind);
+  return (SOURCE_SIGMA_KM / sigma) * Math.exp(-(crosswind ** 2) / (2 * sigma ** 2));
+}
+
+const activeAt = (plume, time) =>
+  (plume.active_from == null || time >= Date.parse(plume.active_from)) &&
+  (plume.active_to == null || time <= Date.parse(plume.active_to));
+
+/**
+ * Index plumes by source for point lookups. `strongest(point)` returns the
+ * plume the point is deepest in, as { plume, intensity }, or null.
+ */
+export function createPlumeIndex(plumes) {
+  const index = createGridIndex(plumes.map((plume) => ({ lat: plume.source.lat, lon: plume.source.lon, plume })));
+  const reachKm = plumes.reduce((max, p) => Math.max(max, p.length_km), 0);
+
+  function strongest({ lat, lon, timestamp }) {
+    const time = Date.parse(timestamp);
+    let best = null;
+    for (const { item } of index.within(lat, lon, reachKm)) {
+      if (!activeAt(item.plume, time)) continue;
+      const intensity = intensityAt(item.plume, lat, lon);
+      if (intensity > 0 && (!best || intensity > best.intensity)) best = { plume: item.plume, intensity };
+    }
+    return best;
+  }
+
+  return { strongest, size: plumes.length };
+}
+
+/**
+ * Plume exposure along a track:
+ *
+ * - `score`: intensity-hours (relative intensity integrated over time)
+ * - `hours_exposed`: time spent at or above EXPOSED_INTENSITY
+ * - `peak`: the deepest point, with the plume it was in
+ * - `plumes_crossed`: each plume entered, with its peak intensity
+ */
+export function plumeExposure(track, plumeIndex) {
+  const hits = track.map((p) => (plumeIndex.size ? plumeIndex.strongest(p) : null));
+  const intensity = hits.map((h) => h?.intensity ?? 0);
+
+  let score = 0;
+  let hoursExposed = 0;
+  for (let i = 1; i < track.length; i++) {
+    const hours = (Date.parse(track[i].timestamp) - Date.parse(track[i - 1].timestamp)) / HOUR_MS;
+    score += (hours * (intensity[i - 1] + intensity[i])) / 2;
+    hoursExposed += (hours * ((intensity[i - 1] >= EXPOSED_INTENSITY) + (intensity[i] >= EXPOSED_INTENSITY))) / 2;
+  }
+
+  const crossed = new Map(); // plume -> { intensity, timestamp }
+  let peak = null;
+  hits.forEach((hit, i) => {
+    if (!hit || hit.intensity < EXPOSED_INTENSITY) return;
+    const seen = crossed.get(hit.plume);
+    if (!seen || hit.intensity > seen.intensity) {
+      crossed.set(hit.plume, { intensity: hit.intensity, timestamp: track[i].timestamp });
+    }
+    if (!peak || hit.intensity > peak.hit.intensity) peak = { hit, point: track[i] };
+  });
+
+  return {
+    score: round(score, 3),
+    hours_exposed: round(hoursExposed),
+    peak: peak
+      ? {
+          intensity: round(peak.hit.intensity, 3),
+          timestamp: peak.point.timestamp,
+          lat: peak.point.lat,
+          lon: peak.point.lon,
+          altitude: peak.point.altitude,
+          plume_id: peak.hit.plume.id,
+          event_id: peak.hit.plume.event_id,
+        }
+      : null,
+    plumes_crossed: [...crossed]
+      .sort((a, b) => b[1].intensity - a[1].intensity)
+      .slice(0, MAX_PLUMES_LISTED)
+      .map(([plume, seen]) => ({
+        plume_id: plume.id,
+        event_id: plume.event_id,
+        max_intensity: round(seen.intensity, 3),
+        timestamp: seen.timestamp,
+      })),
+  };
+}
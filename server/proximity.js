@@ -0,0 +1,174 @@
+// ------------------------------------------------------------
+//  FIRE PROXIMITY ALONG THE FULL TRACK
+// ------------------------------------------------------------
+
+import { haversineKm, wrapLon } from "./geo.js";
+import { createPlumeIndex, plumeExposure } from "./plume.js";
+import { createGridIndex } from "./spatial.js";
+
+export const DEFAULT_RADII_KM = [10, 50, 100];
+const MAX_ENCOUNTERS = 50;
+const STEP_KM = 5; // spacing of the points checked between fixes
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+
+const eventRef = (event, distanceKm, timestamp) => ({
+  id: event.id,
+  distance_km: round(distanceKm),
+  ...(timestamp ? { timestamp } : {}),
+  detections: event.detections,
+  centroid: event.centroid,
+});
+
+// Insert points every `stepKm` along segments that pass anywhere near a
+// fire, so a balloon crossing a fire between two hourly fixes is still
+// seen. Linear in lat/lon and time, which is close enough over an hour.
+function densify(track, stepKm, nearFire) {
+  const out = [];
+  track.forEach((p, i) => {
+    const prev = track[i - 1];
+    const km = prev ? haversineKm(prev.lat, prev.lon, p.lat, p.lon) : 0;
+    const steps = Math.ceil(km / stepKm);
+    if (steps > 1 && nearFire(prev, p, km)) {
+      const start = Date.parse(prev.timestamp);
+      const span = Date.parse(p.timestamp) - start;
+      const dLon = wrapLon(p.lon - prev.lon);
+      const climbs = typeof prev.altitude === "number" && typeof p.altitude === "number";
+      for (let s = 1; s < steps; s++) {
+        const f = s / steps;
+        out.push({
+          lat: prev.lat + (p.lat - prev.lat) * f,
+          lon: wrapLon(prev.lon + dLon * f),
+          altitude: climbs ? prev.altitude + (p.altitude - prev.altitude) * f : null,
+          timestamp: new Date(start + span * f).toISOString(),
+        });
+      }
+    }
+    out.push(p);
+  });
+  return out;
+}
+
+// Collapse per-detection encounters into the closest pass of each event
+function eventEncounters(encounters, eventOf) {
+  const byEvent = new Map();
+  for (const [fire, seen] of encounters) {
+    const event = eventOf.get(fire.id);
+    if (!event) continue;
+    const best = byEvent.get(event);
+    if (!best || seen.distanceKm < best.distanceKm) byEvent.set(event, seen);
+  }
+  return [...byEvent]
+    .sort((a, b) => a[1].distanceKm - b[1].distanceKm)
+    .map(([event, seen]) => eventRef(event, seen.distanceKm, seen.timestamp));
+}
+
+/**
+ * Attach a `fire_summary` to every flight.
+ *
+ * - `min_distance_km` / `closest_fire`: from the latest position (what the
+ *   sidebar has always shown)
+ * - `closest_approach`: the nearest the track came to any fire
+ * - `hours_within_km`: time spent within each radius
+ *
+ * Distances are taken every STEP_KM along the track near fires, not just
+ * at the hourly fixes (so `closest_approach` may lie between two fixes).
+ * - `fires_encountered`: fires that came within the largest radius
+ * - `closest_event` / `events_encountered`: the same, per fire event, when
+ *   clustered `events` are given (distance to an event is the distance to
+ *   its nearest detection)
+ *
+ * Alongside it, a `plume_exposure` for how long and how deeply the track
+ * passed through the smoke `plumes` (see plume.js).
+ */
+export function summarizeFlights(flights, fires, { radiiKm = DEFAULT_RADII_KM, events = [], plumes = [] } = {}) {
+  const index = createGridIndex(fires);
+  const plumeIndex = createPlumeIndex(plumes);
+  const eventOf = new Map();
+  for (const event of events) {
+    for (const id of event.detection_ids) eventOf.set(id, event);
+  }
+  const radii = [...radiiKm].sort((a, b) => a - b);
+  const outerKm = radii[radii.length - 1];
+  // Something within the outer radius of the segment, measured from its middle
+  const nearFire = (a, b, km) =>
+    index.within((a.lat + b.lat) / 2, wrapLon(a.lon + wrapLon(b.lon - a.lon) / 2), outerKm + km / 2).length > 0;
+
+  return flights.map((f) => {
+    const current = index.nearest(f.latest.lat, f.latest.lon);
+    const samples = densify(f.track, STEP_KM, nearFire);
+
+    let approach = null;
+    const hoursWithin = Object.fromEntries(radii.map((r) => [r, 0]));
+    const encounters = new Map(); // fire -> { distance, timestamp }
+    const nearestDist = [];
+
+    samples.forEach((p, i) => {
+      const hits = index.within(p.lat, p.lon, outerKm);
+      let best = null;
+
+      for (const hit of hits) {
+        if (!best || hit.distanceKm < best.distanceKm) best = hit;
+
+        const seen = encounters.get(hit.item);
+        if (!seen || hit.distanceKm < seen.distanceKm) {
+          encounters.set(hit.item, { distanceKm: hit.distanceKm, timestamp: p.timestamp });
+        }
+      }
+
+      nearestDist[i] = best ? best.distanceKm : Infinity;
+      if (best && (!approach || best.distanceKm < approach.distanceKm)) {
+        approach = { ...best, point: p };
+      }
+    });
+
+    // Each segment's duration is shared between its two endpoints
+    for (let i = 1; i < samples.length; i++) {
+      const hours = (Date.parse(samples[i].timestamp) - Date.parse(samples[i - 1].timestamp)) / 3600_000;
+      for (const r of radii) {
+        const inside = (nearestDist[i - 1] <= r) + (nearestDist[i] <= r);
+        hoursWithin[r] += (hours * inside) / 2;
+      }
+    }
+
+    // Nothing within the outer radius: still report the true nearest approach
+    if (!approach && fires.length) {
+      for (const p of f.track) {
+        const hit = index.nearest(p.lat, p.lon);
+        if (hit && (!approach || hit.distanceKm < approach.distanceKm)) approach = { ...hit, point: p };
+      }
+    }
+
+    return {
+      ...f,
+      fire_summary: {
+        min_distance_km: current ? round(current.distanceKm) : null,
+        closest_fire: current ? current.item : null,
+        closest_approach: approach
+          ? {
+              distance_km: round(approach.distanceKm),
+              timestamp: approach.point.timestamp,
+              lat: approach.point.lat,
+              lon: approach.point.lon,
+              altitude: approach.point.altitude,
+              fire: approach.item,
+            }
+          : null,
+        hours_within_km: Object.fromEntries(radii.map((r) => [r, round(hoursWithin[r])])),
+        fires_encountered: [...encounters]
+          .sort((a, b) => a[1].distanceKm - b[1].distanceKm)
+          .slice(0, MAX_ENCOUNTERS)
+          .map(([fire, seen]) => ({
+            ...fire,
+            min_distance_km: round(seen.distanceKm),
+            timestamp: seen.timestamp,
+          })),
+        fires_encountered_count: encounters.size,
+        closest_event:
+          current && eventOf.has(current.item.id) ? eventRef(eventOf.get(current.item.id), current.distanceKm) : null,
+        events_encountered: eventEncounters(encounters, eventOf),
+      },
+      plume_exposure: plumeExposure(f.track, plumeIndex),
+    };
+  });
+}
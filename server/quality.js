@@ -0,0 +1,119 @@
+// ------------------------------------------------------------
+//  DATA QUALITY
+//  Rejects (and counts) balloon points that can't be real before
+//  they reach the tracks: malformed or out-of-range values,
+//  duplicates, corrupted hourly files and teleporting jumps.
+// ------------------------------------------------------------
+
+import { haversineKm } from "./geo.js";
+
+// WindBorne altitudes are km; anything outside this is a sensor/encoding fault
+const ALTITUDE_RANGE = [-0.5, 50];
+export const DEFAULT_MAX_SPEED_KMH = 400; // well above the fastest jet stream
+// A file where most rows are unusable is treated as corrupted as a whole
+const CORRUPT_FRACTION = 0.5;
+
+export const REJECTION_REASONS = ["malformed", "out_of_range", "bad_altitude", "duplicate", "teleport"];
+
+export const emptyRejections = () => Object.fromEntries(REJECTION_REASONS.map((r) => [r, 0]));
+
+export function addRejections(into, counts) {
+  for (const reason of REJECTION_REASONS) into[reason] += counts[reason] ?? 0;
+  return into;
+}
+
+// Why a normalized point is unusable, or null when it is fine
+function pointProblem(p) {
+  if (!p) return "malformed";
+  if (!Number.isFinite(p.lat) || !Number.isFinite(p.lon)) return "out_of_range";
+  if (Math.abs(p.lat) > 90 || Math.abs(p.lon) > 180) return "out_of_range";
+  if (p.altitude != null && !(p.altitude >= ALTITUDE_RANGE[0] && p.altitude <= ALTITUDE_RANGE[1])) {
+    return "bad_altitude";
+  }
+  return null;
+}
+
+/**
+ * Validate one hourly snapshot. `normalize(raw)` turns a row into a point
+ * (or null). Rejected rows become null, so array positions - which the
+ * tracker uses for naming - are kept.
+ *
+ * Returns { points, rejected, corrupt } where `corrupt` is a reason string
+ * when the file as a whole can't be trusted.
+ */
+export function validateSnapshot(snapshot, normalize) {
+  const rejected = emptyRejections();
+  if (!Array.isArray(snapshot)) {
+    return { points: [], rejected, corrupt: "snapshot is not an array" };
+  }
+
+  const seen = new Set();
+  const points = snapshot.map((raw) => {
+    const p = normalize(raw);
+    const problem = pointProblem(p);
+    if (problem) {
+      rejected[problem]++;
+      return null;
+    }
+
+    const key = `${p.id ?? ""}|${p.lat}|${p.lon}|${p.altitude}`;
+    if (seen.has(key)) {
+      rejected.duplicate++;
+      return null;
+    }
+    seen.add(key);
+    return p;
+  });
+
+  const bad = rejected.malformed + rejected.out_of_range + rejected.bad_altitude;
+  if (snapshot.length && bad / snapshot.length > CORRUPT_FRACTION) {
+    return { points: [], rejected, corrupt: `${bad} of ${snapshot.length} rows unusable` };
+  }
+  return { points, rejected, corrupt: null };
+}
+
+function plausible(a, b, maxSpeedKmh) {
+  const hours = (Date.parse(b.timestamp) - Date.parse(a.timestamp)) / 3600_000;
+  return hours > 0 && haversineKm(a.lat, a.lon, b.lat, b.lon) / hours <= maxSpeedKmh;
+}
+
+/**
+ * Drop track points reached from the previous kept point faster than
+ * `maxSpeedKmh`. When the jump is out of the very first point and the
+ * rest of the track agrees with the new one, the first point is the
+ * outlier instead. Returns the cleaned points and how many were dropped.
+ */
+export function rejectTeleports(points, maxSpeedKmh = DEFAULT_MAX_SPEED_KMH) {
+  const kept = [];
+  let dropped = 0;
+  points.forEach((p, i) => {
+    const prev = kept[kept.length - 1];
+    if (!prev || plausible(prev, p, maxSpeedKmh)) {
+      kept.push(p);
+      return;
+    }
+
+    const next = points[i + 1];
+    if (kept.length === 1 && next && plausible(p, next, maxSpeedKmh) && !plausible(prev, next, maxSpeedKmh)) {
+      kept[0] = p;
+    }
+    dropped++;
+  });
+  return { points: kept, dropped };
+}
+
+/**
+ * Position-linked teleports never join a track: the tracker's drift gate
+ * leaves them as one-point tracks that appear mid-window and vanish. Drop
+ * those; a single point at either end of the window may be a launch or
+ * a balloon not yet seen again, so it stays.
+ */
+export function rejectStrays(tracks, { firstTime, latestTime }) {
+  const stray = (t) => {
+    if (t.points.length !== 1 || t.association.method !== "position") return false;
+    const time = Date.parse(t.points[0].timestamp);
+    return time > firstTime && time < latestTime;
+  };
+  const kept = tracks.filter((t) => !stray(t));
+  return { tracks: kept, dropped: tracks.length - kept.length };
+}
@@ -0,0 +1,277 @@
+// ------------------------------------------------------------
+//  RESOURCE QUERIES (/api/flights, /api/fires)
+//  Query-string parsing with validation, filtering, sorting and
+//  pagination over the scene's flights and fires.
+// ------------------------------------------------------------
+
+import { confidenceLevel } from "./firms.js";
+import { haversineKm } from "./geo.js";
+import { RISK_LEVELS } from "./risk.js";
+import { inBbox, parseBbox } from "./viewport.js";
+
+export const DEFAULT_LIMIT = 100;
+export const MAX_LIMIT = 1000;
+export const DEFAULT_NEARBY_KM = 100;
+const MAX_NEARBY_KM = 2000;
+
+const CONFIDENCE_LEVELS = ["low", "nominal", "high"];
+
+const FLIGHT_SORTS = {
+  id: (f) => f.id,
+  latest_time: (f) => f.latest.timestamp,
+  altitude: (f) => f.latest.altitude,
+  fire_distance: (f) => f.fire_summary?.min_distance_km,
+  track_confidence: (f) => f.association?.confidence,
+  risk: (f) => f.risk?.score,
+};
+
+const FIRE_SORTS = {
+  acquired_at: (f) => f.acquired_at,
+  brightness: (f) => f.brightness,
+  frp: (f) => f.frp,
+  confidence: (f) => confidenceLevel(f.confidence),
+};
+
+// Accepts ISO strings or epoch milliseconds
+export function parseTime(value) {
+  if (value == null || value === "") return null;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return isNaN(time) ? NaN : time;
+}
+
+// Collects one message per bad parameter, so a client can fix them all at once
+export function createParser(query) {
+  const errors = [];
+
+  const number = (name, { min = -Infinity, max = Infinity, integer = false } = {}) => {
+    const raw = query[name];
+    if (raw == null || raw === "") return null;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+      const range = [min > -Infinity && `>= ${min}`, max < Infinity && `<= ${max}`].filter(Boolean).join(" and ");
+      errors.push(`${name} must be ${integer ? "an integer" : "a number"}${range ? ` ${range}` : ""}`);
+      return null;
+    }
+    return value;
+  };
+
+  const time = (name) => {
+    const value = parseTime(query[name]);
+    if (Number.isNaN(value)) {
+      errors.push(`${name} must be an ISO date or epoch milliseconds`);
+      return null;
+    }
+    return value;
+  };
+
+  const oneOf = (name, allowed) => {
+    const raw = query[name];
+    if (raw == null || raw === "") return null;
+    if (!allowed.includes(raw)) {
+      errors.push(`${name} must be one of ${allowed.join(", ")}`);
+      return null;
+    }
+    return raw;
+  };
+
+  const bbox = () => {
+    if (query.bbox == null || query.bbox === "") return null;
+    const parsed = parseBbox(query.bbox);
+    if (parsed.error) errors.push(parsed.error);
+    return parsed.bbox ?? null;
+  };
+
+  // sort=field or sort=-field (descending)
+  const sort = (fields, fallback) => {
+    const raw = query.sort == null || query.sort === "" ? fallback : String(query.sort);
+    const desc = raw.startsWith("-");
+    const field = desc ? raw.slice(1) : raw;
+    if (!fields[field]) {
+      errors.push(`sort must be one of ${Object.keys(fields).join(", ")} (prefix with - for descending)`);
+      return null;
+    }
+    return { field, desc };
+  };
+
+  const page = () => ({
+    limit: number("limit", { min: 1, max: MAX_LIMIT, integer: true }) ?? DEFAULT_LIMIT,
+    offset: number("offset", { min: 0, integer: true }) ?? 0,
+  });
+
+  return { errors, number, time, oneOf, bbox, sort, page };
+}
+
+// region=US-OR matches that region, region=US every region of the country
+// (case-insensitive; ocean ids such as ocean-pacific work too)
+const regionParam = (query) => (query.region ? String(query.region).toUpperCase() : null);
+const inRegion = (region, wanted) =>
+  region != null && (region.id.toUpperCase() === wanted || region.country === wanted);
+
+// Missing values sort last in either direction
+function sortBy(items, keyOf, desc) {
+  return [...items].sort((a, b) => {
+    const ka = keyOf(a);
+    const kb = keyOf(b);
+    if (ka == null || kb == null) return (ka == null) - (kb == null);
+    const order = ka < kb ? -1 : ka > kb ? 1 : 0;
+    return desc ? -order : order;
+  });
+}
+
+export const paginate = (items, { limit, offset }) => ({
+  total: items.length,
+  limit,
+  offset,
+  items: items.slice(offset, offset + limit),
+});
+
+// ------------------------------------------------------------
+//  FLIGHTS
+// ------------------------------------------------------------
+
+/**
+ * /api/flights query → { filters } or { errors }:
+ * bbox (latest position), min_alt / max_alt, max_fire_km (current distance
+ * to the nearest fire), min_risk (low | elevated | high), active_since,
+ * status, region (where the balloon is now), sort, limit, offset.
+ */
+export function parseFlightQuery(query) {
+  const p = createParser(query);
+  const filters = {
+    bbox: p.bbox(),
+    minAlt: p.number("min_alt"),
+    maxAlt: p.number("max_alt"),
+    maxFireKm: p.number("max_fire_km", { min: 0 }),
+    minRisk: p.oneOf("min_risk", RISK_LEVELS.map((l) => l.level).reverse()),
+    activeSince: p.time("active_since"),
+    status: p.oneOf("status", ["active", "lost"]),
+    region: regionParam(query),
+    sort: p.sort(FLIGHT_SORTS, "id"),
+    page: p.page(),
+  };
+  if (filters.minAlt != null && filters.maxAlt != null && filters.minAlt > filters.maxAlt) {
+    p.errors.push("min_alt must not exceed max_alt");
+  }
+  return p.errors.length ? { errors: p.errors } : { filters };
+}
+
+// A flight for listings: everything but the track
+const flightSummary = ({ track, ...rest }) => ({ ...rest, track_points: track.length });
+
+export function queryFlights(flights, filters) {
+  const { bbox, minAlt, maxAlt, maxFireKm, minRisk, activeSince, status, region, sort, page } = filters;
+  const minScore = minRisk ? RISK_LEVELS.find((l) => l.level === minRisk).minScore : null;
+
+  const matching = flights.filter((f) => {
+    const alt = f.latest.altitude;
+    if (bbox && !inBbox(f.latest, bbox)) return false;
+    if (minAlt != null && !(alt >= minAlt)) return false;
+    if (maxAlt != null && !(alt <= maxAlt)) return false;
+    if (maxFireKm != null && !(f.fire_summary?.min_distance_km <= maxFireKm)) return false;
+    if (minScore != null && !(f.risk?.score >= minScore)) return false;
+    if (activeSince != null && !(Date.parse(f.latest.timestamp) >= activeSince)) return false;
+    if (status && f.association?.status !== status) return false;
+    if (region && !inRegion(f.latest.region, region)) return false;
+    return true;
+  });
+
+  const result = paginate(sortBy(matching, FLIGHT_SORTS[sort.field], sort.desc), page);
+  return { ...result, items: result.items.map(flightSummary) };
+}
+
+// ------------------------------------------------------------
+//  FIRES
+// ------------------------------------------------------------
+
+/**
+ * /api/fires query → { filters } or { errors }:
+ * bbox, min_confidence (low | nominal | high), min_brightness /
+ * max_brightness, min_frp, since / until (acquisition time), satellite,
+ * region, sort, limit, offset.
+ */
+export function parseFireQuery(query) {
+  const p = createParser(query);
+  const filters = {
+    bbox: p.bbox(),
+    minConfidence: p.oneOf("min_confidence", CONFIDENCE_LEVELS),
+    minBrightness: p.number("min_brightness"),
+    maxBrightness: p.number("max_brightness"),
+    minFrp: p.number("min_frp", { min: 0 }),
+    since: p.time("since"),
+    until: p.time("until"),
+    satellite: query.satellite ? String(query.satellite) : null,
+    region: regionParam(query),
+    sort: p.sort(FIRE_SORTS, "-acquired_at"),
+    page: p.page(),
+  };
+  if (filters.since != null && filters.until != null && filters.since > filters.until) {
+    p.errors.push("since must be before until");
+  }
+  return p.errors.length ? { errors: p.errors } : { filters };
+}
+
+export function queryFires(fires, filters) {
+  const { bbox, minConfidence, minBrightness, maxBrightness, minFrp, since, until, satellite, region, sort, page } =
+    filters;
+  const minLevel = minConfidence ? CONFIDENCE_LEVELS.indexOf(minConfidence) : null;
+
+  const matching = fires.filter((f) => {
+    const time = Date.parse(f.acquired_at);
+    if (bbox && !inBbox(f, bbox)) return false;
+    if (minLevel != null && !(confidenceLevel(f.confidence) >= minLevel)) return false;
+    if (minBrightness != null && !(f.brightness >= minBrightness)) return false;
+    if (maxBrightness != null && !(f.brightness <= maxBrightness)) return false;
+    if (minFrp != null && !(f.frp >= minFrp)) return false;
+    if (since != null && !(time >= since)) return false;
+    if (until != null && !(time <= until)) return false;
+    if (satellite && !(f.satellites ?? [f.satellite]).includes(satellite)) return false;
+    if (region && !inRegion(f.region, region)) return false;
+    return true;
+  });
+
+  return paginate(sortBy(matching, FIRE_SORTS[sort.field], sort.desc), page);
+}
+
+// A fire by its id, or by the id of any detection merged into it
+export const findFire = (fires, id) =>
+  fires.find((f) => f.id === id) ?? fires.find((f) => f.sensors?.some((s) => s.id === id)) ?? null;
+
+/**
+ * Flights whose track came within `radiusKm` of a fire, closest first,
+ * with where and when they were closest.
+ */
+export function nearbyFlights(fire, flights, radiusKm) {
+  const nearby = [];
+  for (const f of flights) {
+    let best = null;
+    for (const p of f.track) {
+      const d = haversineKm(fire.lat, fire.lon, p.lat, p.lon);
+      if (!best || d < best.distanceKm) best = { distanceKm: d, point: p };
+    }
+    if (best && best.distanceKm <= radiusKm) {
+      nearby.push({
+        flight: flightSummary(f),
+        closest_approach: {
+          distance_km: Number(best.distanceKm.toFixed(2)),
+          timestamp: best.point.timestamp,
+          lat: best.point.lat,
+          lon: best.point.lon,
+          altitude: best.point.altitude,
+        },
+      });
+    }
+  }
+  return nearby.sort((a, b) => a.closest_approach.distance_km - b.closest_approach.distance_km);
+}
+
+/**
+ * /api/fires/:id/nearby-flights query → { options } or { errors }.
+ */
+export function parseNearbyQuery(query) {
+  const p = createParser(query);
+  const options = {
+    radiusKm: p.number("radius_km", { min: 0, max: MAX_NEARBY_KM }) ?? DEFAULT_NEARBY_KM,
+    page: p.page(),
+  };
+  return p.errors.length ? { errors: p.errors } : { options };
+}
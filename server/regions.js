@@ -0,0 +1,230 @@
+// ------------------------------------------------------------
+//  REGIONS
+//  Offline point-in-polygon labelling against bundled boundary
+//  data (first-level admin regions, then countries), falling
+//  back to the ocean basin for points over water.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import { DEFAULT_RADII_KM } from "./proximity.js";
+import { createParser } from "./query.js";
+
+const CELL_DEG = 5; // candidate grid: features are listed in every cell their bbox touches
+export const CLOSE_ENCOUNTER_KM = 10;
+
+// Checked in order; land is always looked up first, so the boxes only
+// need to be right over water
+const OCEANS = [
+  { id: "ocean-arctic", name: "Arctic Ocean", test: (lat) => lat >= 66 },
+  { id: "ocean-southern", name: "Southern Ocean", test: (lat) => lat <= -60 },
+  {
+    id: "sea-mediterranean",
+    name: "Mediterranean Sea",
+    test: (lat, lon) => lat >= 30 && lat <= 46 && lon >= -6 && lon <= 36,
+  },
+  { id: "gulf-mexico", name: "Gulf of Mexico", test: (lat, lon) => lat >= 18 && lat <= 31 && lon >= -98 && lon <= -80 },
+  { id: "sea-caribbean", name: "Caribbean Sea", test: (lat, lon) => lat >= 9 && lat < 22 && lon >= -88 && lon <= -60 },
+  {
+    id: "ocean-atlantic",
+    name: "Atlantic Ocean",
+    test: (lat, lon) => lon <= 20 && lon >= (lat >= 18 ? -82 : lat >= 9 ? -83 : -70),
+  },
+  {
+    id: "ocean-indian",
+    name: "Indian Ocean",
+    test: (lat, lon) => lat < 30 && lon > 20 && lon < 147 && !(lon > 100 && lat > -10),
+  },
+  { id: "ocean-pacific", name: "Pacific Ocean", test: () => true },
+];
+
+let features = []; // { region, bbox, polygons } with admin-1 regions before countries
+let grid = new Map();
+
+const cellKey = (row, col) => `${row}:${col}`;
+const rowOf = (lat) => Math.floor((Math.min(lat, 89.999) + 90) / CELL_DEG);
+const colOf = (lon) => Math.floor((Math.min(lon, 179.999) + 180) / CELL_DEG);
+
+// GeoJSON Polygon / MultiPolygon → list of polygons (each a list of rings)
+function polygonsOf(geometry) {
+  if (geometry?.type === "Polygon") return [geometry.coordinates];
+  if (geometry?.type === "MultiPolygon") return geometry.coordinates;
+  return [];
+}
+
+function bboxOf(polygons) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const polygon of polygons) {
+    for (const [lon, lat] of polygon[0]) {
+      box[0] = Math.min(box[0], lon);
+      box[1] = Math.min(box[1], lat);
+      box[2] = Math.max(box[2], lon);
+      box[3] = Math.max(box[3], lat);
+    }
+  }
+  return box;
+}
+
+// Even-odd ray casting; holes are just more rings
+function inRing(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+const inPolygon = (polygon, lon, lat) => polygon.reduce((inside, ring) => inside !== inRing(ring, lon, lat), false);
+
+/**
+ * Load boundary data: a GeoJSON FeatureCollection whose features carry
+ * { id, name, country, country_name, kind: "admin1" | "country" }.
+ * Without it nothing is labelled (an ocean guess over unknown land would
+ * be wrong), so a missing file only logs.
+ */
+export async function loadRegions(file) {
+  let collection;
+  try {
+    collection = JSON.parse(await fs.promises.readFile(file, "utf8"));
+  } catch (err) {
+    console.warn(`regions: no boundary data at ${file} (${err.code ?? err.message}); positions stay unlabelled`);
+    return 0;
+  }
+
+  const rank = (kind) => (kind === "admin1" ? 0 : 1);
+  features = (collection.features ?? [])
+    .map((f) => {
+      const { id, name, country, country_name: countryName, kind } = f.properties ?? {};
+      const polygons = polygonsOf(f.geometry);
+      const label = kind === "admin1" ? `${name}, ${country}` : name;
+      return {
+        region: { id, name, country: country ?? null, country_name: countryName ?? null, kind, label },
+        bbox: bboxOf(polygons),
+        polygons,
+      };
+    })
+    .filter((f) => f.region.id && f.polygons.length)
+    .sort((a, b) => rank(a.region.kind) - rank(b.region.kind));
+
+  grid = new Map();
+  for (const f of features) {
+    const [minLon, minLat, maxLon, maxLat] = f.bbox;
+    for (let row = rowOf(minLat); row <= rowOf(maxLat); row++) {
+      for (let col = colOf(minLon); col <= colOf(maxLon); col++) {
+        const key = cellKey(row, col);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(f);
+      }
+    }
+  }
+
+  console.log("regions: loaded", features.length, "boundaries from", file);
+  return features.length;
+}
+
+export const regionsLoaded = () => features.length > 0;
+
+const oceans = new Map(
+  OCEANS.map(({ id, name }) => [id, { id, name, country: null, country_name: null, kind: "ocean", label: name }])
+);
+
+/**
+ * Region at a point: the admin-1 region or country containing it, else
+ * its ocean. null when no boundary data is loaded.
+ */
+export function regionAt(lat, lon) {
+  if (!features.length || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+  for (const f of grid.get(cellKey(rowOf(lat), colOf(lon))) ?? []) {
+    const [minLon, minLat, maxLon, maxLat] = f.bbox;
+    if (lon < minLon || lon > maxLon || lat < minLat || lat > maxLat) continue;
+    if (f.polygons.some((polygon) => inPolygon(polygon, lon, lat))) return f.region;
+  }
+  return oceans.get(OCEANS.find((o) => o.test(lat, lon)).id);
+}
+
+// ------------------------------------------------------------
+//  SCENE LABELLING
+// ------------------------------------------------------------
+
+/**
+ * Every track point gets a `region_id`; the latest position gets the full
+ * `region` for display.
+ */
+export function labelTrack(track) {
+  return track.map((p) => ({ ...p, region_id: regionAt(p.lat, p.lon)?.id ?? null }));
+}
+
+export const labelPosition = (p) => ({ ...p, region: regionAt(p.lat, p.lon) });
+
+export const labelFires = (fires) => fires.map(labelPosition);
+
+export const labelEvents = (events) => events.map((e) => ({ ...e, region: regionAt(e.centroid.lat, e.centroid.lon) }));
+
+// ------------------------------------------------------------
+//  STATS
+// ------------------------------------------------------------
+
+/**
+ * /api/stats/regions query → { options } or { errors }: close_km, the
+ * distance that counts as a close encounter. Encounters are only recorded
+ * out to the largest proximity radius (`maxCloseKm`), so nothing beyond it
+ * could be counted.
+ */
+export function parseRegionStatsQuery(query, { maxCloseKm = Math.max(...DEFAULT_RADII_KM) } = {}) {
+  const p = createParser(query);
+  const options = { closeKm: p.number("close_km", { min: 0, max: maxCloseKm }) ?? CLOSE_ENCOUNTER_KM };
+  return p.errors.length ? { errors: p.errors } : { options };
+}
+
+/**
+ * Per-region counts for a scene: balloons there now, flights that passed
+ * through, fires and fire events, and close encounters (a flight passing
+ * within `closeKm` of a fire event, once per flight and event, counted in
+ * the event's region).
+ */
+export function regionStats(scene, { closeKm = CLOSE_ENCOUNTER_KM } = {}) {
+  const stats = new Map();
+  const statsOf = (region) => {
+    if (!stats.has(region.id)) {
+      stats.set(region.id, {
+        ...region,
+        balloons: 0,
+        flights_passed: 0,
+        fires: 0,
+        fire_events: 0,
+        close_encounters: 0,
+      });
+    }
+    return stats.get(region.id);
+  };
+  const byId = (id) => features.find((f) => f.region.id === id)?.region ?? oceans.get(id) ?? null;
+  const eventsById = new Map(scene.fire_events.map((e) => [e.id, e]));
+
+  let unlabelled = 0;
+  for (const f of scene.flights) {
+    if (f.latest.region) statsOf(f.latest.region).balloons++;
+    else unlabelled++;
+    for (const id of new Set(f.track.map((p) => p.region_id).filter(Boolean))) {
+      const region = byId(id);
+      if (region) statsOf(region).flights_passed++;
+    }
+
+    for (const encounter of f.fire_summary?.events_encountered ?? []) {
+      const region = eventsById.get(encounter.id)?.region;
+      if (region && encounter.distance_km <= closeKm) statsOf(region).close_encounters++;
+    }
+  }
+  for (const fire of scene.fires) if (fire.region) statsOf(fire.region).fires++;
+  for (const event of scene.fire_events) if (event.region) statsOf(event.region).fire_events++;
+
+  return {
+    labelled: regionsLoaded(),
+    close_km: closeKm,
+    unlabelled_balloons: unlabelled,
+    regions: [...stats.values()].sort(
+      (a, b) => b.balloons + b.fires - (a.balloons + a.fires) || a.label.localeCompare(b.label)
+    ),
+  };
+}
@@ -0,0 +1,177 @@
+// ------------------------------------------------------------
+//  COMPOSITE FIRE RISK
+//  Scores every balloon against the fires around it from where
+//  it is now and where it is heading: current distance, closing
+//  speed and closest point of approach (CPA), weighted by how big
+//  the fire is and how low the balloon flies.
+// ------------------------------------------------------------
+
+import { confidenceLevel } from "./firms.js";
+import { destinationPoint, toDeg, toRad, wrapLon } from "./geo.js";
+import { createGridIndex } from "./spatial.js";
+
+const KM_PER_DEG_LAT = 110.57;
+const KM_PER_DEG_LON = 111.32;
+
+export const RISK_HORIZON_HOURS = 6; // approaches further out than this don't count
+const MIN_REACH_KM = 200; // fires considered even for a balloon standing still
+const DISTANCE_SCALE_KM = 30; // proximity halves roughly every 20 km
+const TIME_SCALE_HOURS = 6; // ... and an approach every 4 hours further out
+const CLOSING_FULL_KMH = 40; // closing this fast counts in full
+const BIG_FIRE_MW = 500; // fire radiative power treated as "large"
+// Smoke and heat thin out with height; feed altitude units (km)
+const LOW_ALTITUDE_KM = 3;
+const HIGH_ALTITUDE_KM = 20;
+const MIN_ALTITUDE_MULTIPLIER = 0.5;
+
+const WEIGHTS = { proximity: 0.4, approach: 0.6 };
+export const RISK_LEVELS = [
+  { level: "high", minScore: 40 },
+  { level: "elevated", minScore: 15 },
+  { level: "low", minScore: 0 },
+];
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+const clamp01 = (n) => Math.max(0, Math.min(1, n));
+
+export const riskLevel = (score) => RISK_LEVELS.find((l) => score >= l.minScore).level;
+
+// Velocity (east/north km/h) from the forecast, or else the last track
+// point's segment metrics (archived scenes have no forecast)
+function velocityOf(f) {
+  const motion = f.forecast ?? f.track[f.track.length - 1];
+  if (typeof motion?.speed_kmh !== "number" || typeof motion?.heading_deg !== "number") return { east: 0, north: 0 };
+  const heading = toRad(motion.heading_deg);
+  return { east: motion.speed_kmh * Math.sin(heading), north: motion.speed_kmh * Math.cos(heading) };
+}
+
+// Fire strength 0..1 from its event's (or its own) FRP and its confidence
+function intensityOf(fire, event) {
+  const frp = Number(event?.frp_sum ?? fire.frp);
+  const frpPart = Number.isFinite(frp) && frp > 0 ? clamp01(Math.log10(1 + frp) / Math.log10(1 + BIG_FIRE_MW)) : 0;
+  return {
+    value: 0.7 * frpPart + 0.3 * (confidenceLevel(fire.confidence) / 2),
+    frp: Number.isFinite(frp) ? frp : null,
+  };
+}
+
+function altitudeMultiplier(altitude) {
+  if (typeof altitude !== "number") return 1;
+  const high = clamp01((altitude - LOW_ALTITUDE_KM) / (HIGH_ALTITUDE_KM - LOW_ALTITUDE_KM));
+  return 1 - high * (1 - MIN_ALTITUDE_MULTIPLIER);
+}
+
+/**
+ * Risk of one balloon from one fire. Positions go to a local flat frame
+ * (km east/north of the balloon), where the fire stands still and the
+ * balloon keeps its current velocity.
+ */
+function assessFire(f, velocity, fire, event) {
+  const { lat, lon, altitude } = f.latest;
+  const east = wrapLon(fire.lon - lon) * KM_PER_DEG_LON * Math.cos(toRad(lat));
+  const north = (fire.lat - lat) * KM_PER_DEG_LAT;
+  const distanceKm = Math.hypot(east, north);
+
+  const speed2 = velocity.east ** 2 + velocity.north ** 2;
+  const along = east * velocity.east + north * velocity.north;
+  const cpaHours = speed2 > 0 ? Math.max(0, Math.min(RISK_HORIZON_HOURS, along / speed2)) : 0;
+  const cpaKm = Math.hypot(east - velocity.east * cpaHours, north - velocity.north * cpaHours);
+  const closingKmh = distanceKm > 0 ? along / distanceKm : 0;
+
+  const intensity = intensityOf(fire, event);
+  const proximity = Math.exp(-distanceKm / DISTANCE_SCALE_KM);
+  const approach =
+    closingKmh > 0
+      ? Math.exp(-cpaKm / DISTANCE_SCALE_KM) *
+        Math.exp(-cpaHours / TIME_SCALE_HOURS) *
+        (0.5 + 0.5 * clamp01(closingKmh / CLOSING_FULL_KMH))
+      : 0;
+  const intensityMultiplier = 0.6 + 0.4 * intensity.value;
+  const altitudeMult = altitudeMultiplier(altitude);
+  const scale = 100 * intensityMultiplier * altitudeMult;
+
+  const heading = toDeg(Math.atan2(velocity.east, velocity.north));
+  const cpaPoint = destinationPoint(lat, lon, heading, Math.sqrt(speed2) * cpaHours);
+
+  return {
+    score: scale * (WEIGHTS.proximity * proximity + WEIGHTS.approach * approach),
+    fire,
+    event,
+    distanceKm,
+    closingKmh,
+    cpaKm,
+    cpaHours,
+    cpaPoint,
+    factors: {
+      proximity: { value: round(proximity, 3), points: round(scale * WEIGHTS.proximity * proximity, 1) },
+      approach: { value: round(approach, 3), points: round(scale * WEIGHTS.approach * approach, 1) },
+      intensity: { value: round(intensity.value, 3), multiplier: round(intensityMultiplier, 3), frp: intensity.frp },
+      altitude: { value: typeof altitude === "number" ? altitude : null, multiplier: round(altitudeMult, 3) },
+    },
+  };
+}
+
+// Short reasons for the score, strongest first
+function drivers(best) {
+  const { proximity, approach, intensity, altitude } = best.factors;
+  const closing = `closing at ${best.closingKmh.toFixed(0)} km/h`;
+  const reasons = [
+    { points: approach.points, text: `${closing}, CPA ${best.cpaKm.toFixed(1)} km in ${best.cpaHours.toFixed(1)} h` },
+    { points: proximity.points, text: `${best.distanceKm.toFixed(1)} km from the fire now` },
+  ]
+    .filter((r) => r.points >= 1)
+    .sort((a, b) => b.points - a.points)
+    .map((r) => r.text);
+
+  if (best.closingKmh < 0 && proximity.points >= 1) reasons.push("drifting away");
+  if (intensity.multiplier >= 0.85) reasons.push(`large fire (${intensity.frp} MW FRP)`);
+  if (altitude.value != null && altitude.multiplier >= 0.85) reasons.push(`low altitude (${altitude.value.toFixed(1)} km)`);
+  return reasons;
+}
+
+/**
+ * Attach a `risk` to every flight: the fire posing the highest score, the
+ * score (0-100) and level, CPA against that fire, and the factor breakdown.
+ * Flights with no fires in reach get a zero score.
+ */
+export function assessRisk(flights, fires, { events = [] } = {}) {
+  const index = createGridIndex(fires);
+  const eventOf = new Map();
+  for (const event of events) {
+    for (const id of event.detection_ids) eventOf.set(id, event);
+  }
+
+  return flights.map((f) => {
+    const velocity = velocityOf(f);
+    const reachKm = Math.max(MIN_REACH_KM, Math.hypot(velocity.east, velocity.north) * RISK_HORIZON_HOURS * 1.5);
+
+    let best = null;
+    for (const { item } of index.within(f.latest.lat, f.latest.lon, reachKm)) {
+      const assessed = assessFire(f, velocity, item, eventOf.get(item.id));
+      if (!best || assessed.score > best.score) best = assessed;
+    }
+
+    if (!best) return { ...f, risk: { score: 0, level: "low", fire: null, factors: null, drivers: [] } };
+
+    const score = round(best.score, 1);
+    return {
+      ...f,
+      risk: {
+        score,
+        level: riskLevel(score),
+        fire: { id: best.fire.id, lat: best.fire.lat, lon: best.fire.lon, event_id: best.event?.id ?? null },
+        current_distance_km: round(best.distanceKm),
+        closing_speed_kmh: round(best.closingKmh),
+        cpa: {
+          distance_km: round(best.cpaKm),
+          hours: round(best.cpaHours),
+          timestamp: new Date(Date.parse(f.latest.timestamp) + best.cpaHours * 3600_000).toISOString(),
+          lat: round(best.cpaPoint.lat, 4),
+          lon: round(best.cpaPoint.lon, 4),
+        },
+        factors: best.factors,
+        drivers: drivers(best),
+      },
+    };
+  });
+}
@@ -0,0 +1,168 @@
+// ------------------------------------------------------------
+//  BUILD REGIONS
+//  Writes the compact boundary file the server labels positions
+//  with (geodata/regions.geojson) from Natural Earth countries and
+//  first-level admin regions, so nothing is fetched at runtime.
+//
+//  npm run build:regions [-- <output file>]
+//    downloads Natural Earth 1:50m
+//  npm run build:regions -- --countries <file> --admin1 <file | dir> [<output file>]
+//    reads local Natural Earth GeoJSON instead (a directory is read
+//    as one file per country, e.g. the 1:10m admin-1 split by country)
+//
+//  Admin-1 regions are kept for the large countries 1:50m splits;
+//  elsewhere positions are labelled with the country.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import fetch from "node-fetch";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const BASE_URL = "https://raw.githubusercontent.com/nvkelso/natural-earth-vector/master/geojson";
+const COUNTRIES_URL = `${BASE_URL}/ne_50m_admin_0_countries.geojson`;
+const ADMIN1_URL = `${BASE_URL}/ne_50m_admin_1_states_provinces.geojson`;
+const DIGITS = 3; // ~100 m
+const TOLERANCE_DEG = 0.02; // ~2 km: plenty for labelling, and keeps 1:10m input small
+const ADMIN1_COUNTRIES = new Set(["AUS", "BRA", "CAN", "CHN", "IDN", "IND", "RUS", "USA", "ZAF"]);
+
+function parseArgs(argv) {
+  const args = { countries: COUNTRIES_URL, admin1: ADMIN1_URL, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--countries") args.countries = argv[++i];
+    else if (argv[i] === "--admin1") args.admin1 = argv[++i];
+    else args.out = argv[i];
+  }
+  args.out ??= path.join(__dirname, "..", "geodata", "regions.geojson");
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+async function download(url) {
+  console.log("GET", url);
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+  return res.json();
+}
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+// URL, GeoJSON file, or directory of GeoJSON files merged into one collection
+async function load(source) {
+  if (/^https?:/.test(source)) return download(source);
+  if (!fs.statSync(source).isDirectory()) return readJson(source);
+
+  const files = fs.readdirSync(source).filter((f) => f.endsWith(".json") || f.endsWith(".geojson"));
+  console.log(`Reading ${files.length} files from ${source}`);
+  return { features: files.sort().flatMap((f) => readJson(path.join(source, f)).features ?? []) };
+}
+
+const round = (n) => Number(n.toFixed(DIGITS));
+
+// Douglas-Peucker on an open line (planar, in degrees)
+function douglasPeucker(points, tolerance) {
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    const [x1, y1] = points[first];
+    const [x2, y2] = points[last];
+    const length = Math.hypot(x2 - x1, y2 - y1);
+
+    let farthest = -1;
+    let max = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const [x, y] = points[i];
+      const d = length
+        ? Math.abs((x2 - x1) * (y1 - y) - (x1 - x) * (y2 - y1)) / length
+        : Math.hypot(x - x1, y - y1);
+      if (d > max) {
+        max = d;
+        farthest = i;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+// Simplify and round every ring, dropping repeats the rounding creates
+// (and islands that collapse to nothing). null when nothing is left.
+function simplify(geometry) {
+  const ring = (r) =>
+    douglasPeucker(r, TOLERANCE_DEG)
+      .map(([lon, lat]) => [round(lon), round(lat)])
+      .filter((p, i, a) => !i || p[0] !== a[i - 1][0] || p[1] !== a[i - 1][1]);
+  const polygon = (rings) => {
+    const kept = rings.map(ring);
+    return kept[0]?.length >= 4 ? kept.filter((r) => r.length >= 4) : null;
+  };
+
+  const polygons = (geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates)
+    .map(polygon)
+    .filter(Boolean);
+  return polygons.length ? { type: "MultiPolygon", coordinates: polygons } : null;
+}
+
+// Natural Earth uses "-99" (and older releases "XX-") for "no code"
+const code = (...values) => values.find((v) => typeof v === "string" && /^[A-Z]{2}$/.test(v)) ?? null;
+const subdivisionCode = (value) => (typeof value === "string" && /^[A-Z]{2}-[A-Z0-9]+$/.test(value) ? value : null);
+
+const [countries, admin1] = await Promise.all([load(args.countries), load(args.admin1)]);
+
+// Older Natural Earth country files only carry the alpha-3 code
+const alpha2 = new Map();
+for (const { properties: p } of admin1.features) {
+  if (code(p.iso_a2)) alpha2.set(p.adm0_a3, p.iso_a2);
+}
+
+// Property names are upper case in current Natural Earth country files,
+// lower case in older ones
+const features = [];
+const countryNames = new Map();
+for (const { properties: p, geometry } of countries.features) {
+  const name = p.NAME ?? p.name;
+  const a3 = p.ADM0_A3 ?? p.adm0_a3 ?? p.iso;
+  const country = code(p.ISO_A2_EH, p.ISO_A2, p.iso_a2, alpha2.get(a3));
+  const id = country ?? a3;
+  countryNames.set(id, name);
+  features.push({
+    type: "Feature",
+    properties: { id, name, country, country_name: name, kind: "country" },
+    geometry: geometry && simplify(geometry),
+  });
+}
+
+for (const { properties: p, geometry } of admin1.features) {
+  const country = code(p.iso_a2);
+  if (!p.name || !ADMIN1_COUNTRIES.has(p.adm0_a3)) continue;
+  features.push({
+    type: "Feature",
+    properties: {
+      id: subdivisionCode(p.iso_3166_2) ?? p.adm1_code ?? `${country ?? p.adm0_a3}-${p.name}`,
+      name: p.name,
+      country,
+      country_name: countryNames.get(country) ?? p.admin ?? null,
+      kind: "admin1",
+    },
+    geometry: geometry && simplify(geometry),
+  });
+}
+
+// One feature per line keeps diffs of the bundled file readable
+const kept = features.filter((f) => f.geometry);
+fs.mkdirSync(path.dirname(args.out), { recursive: true });
+fs.writeFileSync(
+  args.out,
+  `{"type":"FeatureCollection","features":[\n${kept.map((f) => JSON.stringify(f)).join(",\n")}\n]}\n`
+);
+
+const admin1Count = kept.filter((f) => f.properties.kind === "admin1").length;
+console.log(`Wrote ${kept.length - admin1Count} countries and ${admin1Count} admin-1 regions to ${args.out}`);
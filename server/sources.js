@@ -0,0 +1,214 @@
+// ------------------------------------------------------------
+//  DATA SOURCES
+//  Balloon and fire sources behind one small interface, so the
+//  scene can be built from the live APIs, from the live APIs while
+//  recording every response, or entirely offline from a recording.
+//
+//  Balloon source:
+//    fetchHour(hour)  -> raw snapshot (JSON) for NN.json; throws with
+//                        the reason when it can't be had
+//    referenceTime()  -> ms of the hour that NN=00 refers to
+//  Fire source:
+//    fetchArea(product, bounds) -> fire records; throws on failure
+//    available        -> false when it can never return data
+// ------------------------------------------------------------
+
+import fs from "fs";
+import fetch from "node-fetch";
+import path from "path";
+import { fetchFirmsCsv, parseFirmsCsv } from "./firms.js";
+
+const HOUR_MS = 3600_000;
+const FIRMS_DAYS = 2; // the area API is queried for the last 2 days
+
+export const SOURCE_MODES = ["live", "record", "replay"];
+
+const padHour = (h) => h.toString().padStart(2, "0");
+const currentHour = () => Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+
+// Recordings are stored by absolute hour, so NN.json fetched at different
+// times never overwrite each other: balloons/2026-10-19T17.json
+const hourFile = (time) => `${new Date(time).toISOString().slice(0, 13)}.json`;
+const hourFromFile = (name) => Date.parse(`${name.slice(0, 13)}:00:00Z`);
+
+const bboxTag = ({ minLon, minLat, maxLon, maxLat }) => [minLon, minLat, maxLon, maxLat].join("_");
+
+// Snapshots are sometimes written with bare NaN values, which JSON does not
+// allow; read those as null rather than losing the whole hour
+function parseSnapshot(text, name) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    try {
+      return JSON.parse(text.replace(/\bNaN\b/g, "null"));
+    } catch (err) {
+      throw new Error(`corrupted ${name}: ${err.message}`);
+    }
+  }
+}
+
+const inBounds = (f, { minLat, maxLat, minLon, maxLon }) =>
+  f.lat >= minLat && f.lat <= maxLat && f.lon >= minLon && f.lon <= maxLon;
+
+// ------------------------------------------------------------
+//  LIVE (HTTP)
+// ------------------------------------------------------------
+
+function liveBalloonSource() {
+  return {
+    name: "windborne",
+    referenceTime: currentHour,
+    async fetchHour(hour) {
+      const name = `${padHour(hour)}.json`;
+      const res = await fetch(`https://a.windbornesystems.com/treasure/${name}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status} for ${name}`);
+      return parseSnapshot(await res.text(), name);
+    },
+  };
+}
+
+function liveFireSource({ firmsKey }) {
+  return {
+    name: "firms",
+    available: !!firmsKey,
+    async fetchArea(product, bounds) {
+      if (!firmsKey) return [];
+      return parseFirmsCsv(await fetchFirmsCsv(firmsKey, product, bounds), product);
+    },
+  };
+}
+
+// ------------------------------------------------------------
+//  RECORD (LIVE + SAVE EVERY RESPONSE)
+// ------------------------------------------------------------
+
+function recordingBalloonSource(live, dir) {
+  const outDir = path.join(dir, "balloons");
+  fs.mkdirSync(outDir, { recursive: true });
+
+  return {
+    ...live,
+    name: `${live.name} (recording)`,
+    async fetchHour(hour) {
+      const time = live.referenceTime() - hour * HOUR_MS;
+      const snapshot = await live.fetchHour(hour);
+      await fs.promises.writeFile(path.join(outDir, hourFile(time)), JSON.stringify(snapshot));
+      return snapshot;
+    },
+  };
+}
+
+function recordingFireSource({ firmsKey }, dir) {
+  const outDir = path.join(dir, "firms");
+  fs.mkdirSync(outDir, { recursive: true });
+
+  return {
+    name: "firms (recording)",
+    available: !!firmsKey,
+    async fetchArea(product, bounds) {
+      if (!firmsKey) return [];
+      const text = await fetchFirmsCsv(firmsKey, product, bounds);
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const file = `${product}__${bboxTag(bounds)}__${stamp}.csv`;
+      await fs.promises.writeFile(path.join(outDir, file), text);
+      return parseFirmsCsv(text, product);
+    },
+  };
+}
+
+// ------------------------------------------------------------
+//  REPLAY (OFFLINE, FROM A RECORDING DIRECTORY)
+// ------------------------------------------------------------
+
+function replayBalloonSource(dir) {
+  const inDir = path.join(dir, "balloons");
+  const files = fs.existsSync(inDir) ? fs.readdirSync(inDir).filter((f) => f.endsWith(".json")) : [];
+  const hours = new Map(files.map((f) => [hourFromFile(f), path.join(inDir, f)]));
+
+  // Also accept a plain copy of the treasure folder (00.json … 23.json)
+  const relative = new Map(
+    files.filter((f) => /^\d{2}\.json$/.test(f)).map((f) => [Number(f.slice(0, 2)), path.join(inDir, f)])
+  );
+
+  const newest = Math.max(...[...hours.keys()].filter((t) => !isNaN(t)));
+  const reference = Number.isFinite(newest) ? newest : currentHour();
+
+  console.log(`replay: ${files.length} balloon snapshots in ${inDir}`);
+
+  return {
+    name: "replay",
+    referenceTime: () => reference,
+    async fetchHour(hour) {
+      const file = hours.get(reference - hour * HOUR_MS) ?? relative.get(hour);
+      if (!file) throw new Error(`no recording for ${padHour(hour)}.json`);
+      return parseSnapshot(await fs.promises.readFile(file, "utf8"), path.basename(file));
+    },
+  };
+}
+
+function replayFireSource(dir, balloonSource) {
+  const inDir = path.join(dir, "firms");
+  const files = fs.existsSync(inDir) ? fs.readdirSync(inDir).filter((f) => f.endsWith(".csv")) : [];
+
+  console.log(`replay: ${files.length} FIRMS files in ${inDir}`);
+
+  return {
+    name: "replay",
+    available: files.length > 0,
+    async fetchArea(product, bounds) {
+      // Files are named <product>__<bbox>__<time>.csv; anything else
+      // (e.g. a CSV downloaded by hand) is used for every product
+      const matching = files.filter((f) => !f.includes("__") || f.startsWith(`${product}__`));
+
+      // Same window the live API would have returned at the replayed time
+      const end = balloonSource.referenceTime() + HOUR_MS;
+      const start = end - FIRMS_DAYS * 24 * HOUR_MS;
+
+      const byId = new Map();
+      for (const file of matching) {
+        const text = await fs.promises.readFile(path.join(inDir, file), "utf8");
+        for (const fire of parseFirmsCsv(text, product)) {
+          const time = Date.parse(fire.acquired_at);
+          if (!inBounds(fire, bounds) || time < start || time > end) continue;
+          byId.set(fire.id, fire);
+        }
+      }
+      return [...byId.values()];
+    },
+  };
+}
+
+// ------------------------------------------------------------
+//  FACTORY
+// ------------------------------------------------------------
+
+/**
+ * Build the balloon and fire sources for a mode:
+ * - live:   WindBorne + NASA FIRMS over HTTP
+ * - record: live, plus every response saved under `recordDir`
+ * - replay: read a recording (or hand-made fixture) from `replayDir`
+ */
+export function createSources({ mode = "live", firmsKey, recordDir, replayDir }) {
+  if (!SOURCE_MODES.includes(mode)) {
+    throw new Error(`DATA_SOURCE must be one of ${SOURCE_MODES.join(", ")} (got "${mode}")`);
+  }
+
+  if (mode === "replay") {
+    if (!replayDir || !fs.existsSync(replayDir)) {
+      throw new Error(`DATA_SOURCE=replay needs REPLAY_DIR pointing at a recording (got "${replayDir}")`);
+    }
+    const balloons = replayBalloonSource(replayDir);
+    return { mode, balloons, fires: replayFireSource(replayDir, balloons) };
+  }
+
+  const live = liveBalloonSource();
+  if (mode === "record") {
+    return {
+      mode,
+      balloons: recordingBalloonSource(live, recordDir),
+      fires: recordingFireSource({ firmsKey }, recordDir),
+    };
+  }
+
+  return { mode, balloons: live, fires: liveFireSource({ firmsKey }) };
+}
@@ -0,0 +1,74 @@
+// ------------------------------------------------------------
+//  SPATIAL INDEX
+//  Fixed lat/lon grid over point items (fires), with radius and
+//  nearest-neighbour queries that wrap across the antimeridian.
+// ------------------------------------------------------------
+
+import { haversineKm } from "./geo.js";
+
+const KM_PER_DEG_LAT = 111.2;
+const MAX_SEARCH_KM = 20_000; // half the planet: nothing is farther
+
+/**
+ * Build a grid index over items with `lat`/`lon`.
+ * `cellDeg` trades memory for query cost; 0.5° (~55 km) suits fire data.
+ */
+export function createGridIndex(items, cellDeg = 0.5) {
+  const cols = Math.ceil(360 / cellDeg);
+  const rows = Math.ceil(180 / cellDeg);
+  const cells = new Map();
+
+  const rowOf = (lat) => Math.min(rows - 1, Math.max(0, Math.floor((lat + 90) / cellDeg)));
+  const colOf = (lon) => (((Math.floor((lon + 180) / cellDeg)) % cols) + cols) % cols;
+
+  for (const item of items) {
+    const key = rowOf(item.lat) * cols + colOf(item.lon);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(item);
+  }
+
+  // Every item within radiusKm, as { item, distanceKm }
+  function within(lat, lon, radiusKm) {
+    if (!cells.size) return [];
+
+    const dLat = radiusKm / KM_PER_DEG_LAT;
+    const minRow = rowOf(lat - dLat);
+    const maxRow = rowOf(lat + dLat);
+
+    // Longitude span widens toward the poles; past them, scan every column
+    const cosLat = Math.min(Math.cos(((Math.abs(lat) + dLat) * Math.PI) / 180), 1);
+    const dLon = cosLat > 0.01 ? radiusKm / (KM_PER_DEG_LAT * cosLat) : 180;
+    const colSpan = dLon >= 180 ? cols : Math.ceil(dLon / cellDeg) * 2 + 1;
+    const firstCol = colSpan >= cols ? 0 : colOf(lon - dLon);
+
+    const hits = [];
+    for (let r = minRow; r <= maxRow; r++) {
+      for (let i = 0; i < Math.min(colSpan, cols); i++) {
+        const bucket = cells.get(r * cols + ((firstCol + i) % cols));
+        if (!bucket) continue;
+
+        for (const item of bucket) {
+          const distanceKm = haversineKm(lat, lon, item.lat, item.lon);
+          if (distanceKm <= radiusKm) hits.push({ item, distanceKm });
+        }
+      }
+    }
+    return hits;
+  }
+
+  // Closest item, widening the search ring until something turns up
+  function nearest(lat, lon, maxKm = MAX_SEARCH_KM) {
+    if (!cells.size) return null;
+
+    for (let radius = cellDeg * KM_PER_DEG_LAT; ; radius *= 2) {
+      const r = Math.min(radius, maxKm);
+      let best = null;
+      for (const hit of within(lat, lon, r)) {
+        if (!best || hit.distanceKm < best.distanceKm) best = hit;
+      }
+      if (best || r >= maxKm) return best;
+    }
+  }
+
+  return { within, nearest, size: items.length };
+}
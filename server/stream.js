@@ -0,0 +1,108 @@
+// ------------------------------------------------------------
+//  SERVER-SENT EVENTS
+//  Each new client gets the current scene; every finished refresh
+//  is then pushed to all clients as a delta against the last one.
+// ------------------------------------------------------------
+
+const KEEPALIVE_MS = 25_000;
+
+const clients = new Set();
+let lastScene = null;
+
+const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+export const streamClientCount = () => clients.size;
+
+// Same point as the client holds, down to every attribute
+const samePoint = (a, b) => a.timestamp === b.timestamp && JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Diff two scenes as the client gets them (tracks downsampled). Flights
+ * present in both carry the re-computed summary fields and only the end of
+ * the track that changed: the client drops points before `track_start`,
+ * keeps the next `track_keep` and appends `new_points`, which leaves it
+ * holding exactly `next`'s track.
+ */
+export function diffScenes(prev, next) {
+  const prevFlights = new Map((prev?.flights ?? []).map((f) => [f.id, f]));
+  const nextIds = new Set(next.flights.map((f) => f.id));
+
+  const added = [];
+  const updated = [];
+  for (const f of next.flights) {
+    const before = prevFlights.get(f.id);
+    if (!before) {
+      added.push(f);
+      continue;
+    }
+
+    const { track, ...rest } = f;
+    // Points older than this have left the rolling window
+    const trackStart = track[0]?.timestamp ?? null;
+    const held = trackStart ? before.track.filter((p) => p.timestamp >= trackStart) : [];
+    let keep = 0;
+    while (keep < held.length && keep < track.length && samePoint(held[keep], track[keep])) keep++;
+
+    updated.push({
+      ...rest,
+      track_start: trackStart,
+      track_keep: keep,
+      new_points: track.slice(keep),
+    });
+  }
+
+  const prevFires = new Set((prev?.fires ?? []).map((f) => f.id));
+  const nextFires = new Set(next.fires.map((f) => f.id));
+
+  return {
+    generated_at: next.generated_at ?? null,
+    source: next.source ?? null,
+    data_quality: next.data_quality ?? null,
+    regions: next.regions ?? [],
+    flights_added: added,
+    flights_updated: updated,
+    flights_removed: [...prevFlights.keys()].filter((id) => !nextIds.has(id)),
+    fires_added: next.fires.filter((f) => !prevFires.has(f.id)),
+    fires_removed: [...prevFires].filter((id) => !nextFires.has(id)),
+    // Events are re-clustered on every refresh, so they (and their plumes)
+    // are sent whole
+    fire_events: next.fire_events ?? [],
+    plumes: next.plumes ?? [],
+    watch_locations: next.watch_locations ?? [],
+  };
+}
+
+/**
+ * Push a freshly built scene to every connected client.
+ */
+export function publishScene(scene) {
+  const prev = lastScene;
+  lastScene = scene;
+  if (!prev || !clients.size) return;
+
+  const delta = diffScenes(prev, scene);
+  for (const res of clients) send(res, "delta", delta);
+}
+
+/**
+ * Turn a request into an SSE stream, starting with the full scene.
+ */
+export function attachStreamClient(req, res, scene) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // don't let proxies buffer the stream
+  });
+  res.write("retry: 5000\n\n");
+
+  if (!lastScene) lastScene = scene;
+  send(res, "scene", lastScene);
+  clients.add(res);
+
+  const keepalive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_MS);
+  req.on("close", () => {
+    clearInterval(keepalive);
+    clients.delete(res);
+  });
+}
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { clusterFires } from "../clustering.js";
+
+const fire = (id, lat, lon, acquired_at = "2025-01-01T00:00:00Z") => ({ id, lat, lon, acquired_at });
+
+test("nearby detections form one event, isolated ones their own", () => {
+  const events = clusterFires([
+    fire("a", 40, -120),
+    fire("b", 40.005, -120),
+    fire("c", 40, -120.005, "2024-12-31T23:00:00Z"),
+    fire("d", 40.005, -120.005),
+    fire("lone", 41, -120),
+  ]);
+
+  assert.equal(events.length, 2);
+  const [big, lone] = events;
+  assert.equal(big.id, "evt-c", "the earliest detection anchors the id");
+  assert.deepEqual([...big.detection_ids].sort(), ["a", "b", "c", "d"]);
+  assert.equal(big.first_acquired, "2024-12-31T23:00:00Z");
+  assert.ok(big.perimeter.length >= 4);
+  assert.deepEqual(lone.detection_ids, ["lone"]);
+  assert.ok(lone.area_km2 > 0, "a single pixel still gets a perimeter");
+});
+
+test("events on the antimeridian keep their coordinates in range", () => {
+  const events = clusterFires([
+    fire("w1", -17, 179.995),
+    fire("w2", -17.005, 179.99),
+    fire("e1", -17, -179.995),
+    fire("e2", -17.005, -179.99),
+  ]);
+
+  assert.equal(events.length, 1, "both sides of the dateline cluster together");
+  const [event] = events;
+  assert.ok(event.area_km2 < 5, `area ${event.area_km2} km2`);
+  assert.ok(Math.abs(event.centroid.lon) > 179.9 && Math.abs(event.centroid.lon) <= 180);
+  for (const [lat, lon] of event.perimeter) {
+    assert.ok(lon >= -180 && lon <= 180, `perimeter longitude ${lon}`);
+    assert.ok(Math.abs(lat + 17) < 0.1);
+  }
+});
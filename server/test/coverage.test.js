@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { computeCoverage } from "../coverage.js";
+
+const flightOf = (id, fixes) => ({ id, track: fixes.map(([lat, lon]) => ({ lat, lon })) });
+
+test("a flight crossing the dateline gets one wrapped region and non-wrapping tiles", () => {
+  const coverage = computeCoverage([flightOf("pacific", [[30, 175], [31, 179], [32, -177]])]);
+
+  assert.equal(coverage.regions.length, 1);
+  const [{ bounds, flight_ids }] = coverage.regions;
+  assert.deepEqual(flight_ids, ["pacific"]);
+  assert.equal(bounds.crosses_antimeridian, true);
+  assert.ok(bounds.minLon > 170 && bounds.maxLon < -170, `bounds ${bounds.minLon}..${bounds.maxLon}`);
+
+  assert.ok(coverage.tiles.length > 0);
+  for (const tile of coverage.tiles) {
+    assert.ok(tile.minLon < tile.maxLon && tile.minLon >= -180 && tile.maxLon <= 180, JSON.stringify(tile));
+  }
+  assert.ok(coverage.tiles.some((t) => t.maxLon === 180));
+  assert.ok(coverage.tiles.some((t) => t.minLon === -180));
+
+  assert.ok(coverage.contains(31, 179.5));
+  assert.ok(coverage.contains(31, -179.5));
+  assert.ok(!coverage.contains(31, 0), "the far side of the planet is not queried");
+});
+
+test("balloons far apart get a region each", () => {
+  const coverage = computeCoverage([
+    flightOf("a", [[45, -120], [45, -118]]),
+    flightOf("b", [[45, -119]]),
+    flightOf("c", [[-30, 20]]),
+  ]);
+
+  assert.deepEqual(coverage.regions.map((r) => r.flight_ids), [["a", "b"], ["c"]]);
+  assert.ok(coverage.regions.every((r) => !r.bounds.crosses_antimeridian));
+});
+
+test("a track near the pole covers every longitude", () => {
+  const coverage = computeCoverage([flightOf("arctic", [[89, 10]])]);
+
+  const [{ bounds }] = coverage.regions;
+  assert.equal(bounds.minLon, -180);
+  assert.equal(bounds.maxLon, 180);
+  assert.equal(bounds.maxLat, 90);
+  assert.ok(coverage.contains(89.5, -170));
+});
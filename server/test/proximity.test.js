@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { summarizeFlights } from "../proximity.js";
+
+// A flight from hourly [lat, lon] fixes starting at midnight UTC
+function flightOf(id, fixes) {
+  const track = fixes.map(([lat, lon], h) => ({
+    lat,
+    lon,
+    altitude: 15,
+    timestamp: new Date(Date.UTC(2025, 0, 1, h)).toISOString(),
+  }));
+  return { id, track, latest: track[track.length - 1] };
+}
+
+test("a fire between two hourly fixes is found along the track", () => {
+  // ~100 km apart; the fire sits halfway, ~50 km from either fix
+  const flight = flightOf("b1", [[40, -121], [40, -119.8]]);
+  const fire = { id: "f1", lat: 40, lon: -120.4 };
+  const [{ fire_summary: summary }] = summarizeFlights([flight], [fire]);
+
+  assert.ok(summary.closest_approach.distance_km < 5, `closest approach ${summary.closest_approach.distance_km} km`);
+  assert.ok(summary.closest_approach.lon > -121 && summary.closest_approach.lon < -119.8);
+  assert.ok(summary.hours_within_km[10] > 0);
+  assert.ok(summary.hours_within_km[10] < summary.hours_within_km[50]);
+  assert.equal(summary.hours_within_km[100], 1);
+  assert.deepEqual(summary.fires_encountered.map((f) => f.id), ["f1"]);
+  assert.ok(summary.min_distance_km > 45 && summary.min_distance_km < 55);
+  assert.equal(summary.min_distance_km, Number(summary.min_distance_km.toFixed(2)));
+});
+
+test("tracks across the antimeridian are measured the short way round", () => {
+  const flight = flightOf("b2", [[0, 179.6], [0, -179.6]]);
+  const fire = { id: "f2", lat: 0, lon: 180 };
+  const [{ fire_summary: summary }] = summarizeFlights([flight], [fire]);
+
+  assert.ok(summary.closest_approach.distance_km < 5);
+  assert.ok(summary.hours_within_km[10] > 0);
+});
+
+test("fires out of reach are only reported as the nearest approach", () => {
+  const flight = flightOf("b3", [[10, 10], [10, 11]]);
+  const [{ fire_summary: summary }] = summarizeFlights([flight], [{ id: "far", lat: 20, lon: 10 }], {
+    radiiKm: [10, 50],
+  });
+
+  assert.deepEqual(summary.hours_within_km, { 10: 0, 50: 0 });
+  assert.deepEqual(summary.fires_encountered, []);
+  assert.equal(summary.closest_approach.fire.id, "far");
+  assert.ok(summary.closest_approach.distance_km > 1000);
+});
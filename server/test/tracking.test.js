@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { associateTracks, trackIdsByFix } from "../tracking.js";
+
+const HOUR_MS = 3600_000;
+const T0 = Date.parse("2025-01-01T00:00:00Z");
+
+// Hourly frames from per-balloon position functions; `order` shuffles the
+// snapshot array index per hour, as the feed is free to
+function framesOf(balloons, hours, order = () => balloons.map((_, i) => i)) {
+  return hours.map((h) => ({
+    hour: hours[hours.length - 1] - h,
+    time: T0 + h * HOUR_MS,
+    points: order(h).map((i) => ({ ...balloons[i](h), timestamp: new Date(T0 + h * HOUR_MS).toISOString() })),
+  }));
+}
+
+const lons = (track) => track.points.map((p) => p.lon);
+
+test("balloons crossing paths keep their own tracks", () => {
+  // Eastbound and westbound at ~100 km/h, passing within 11 km of each other
+  const east = (h) => ({ lat: 10, lon: h * 0.9, altitude: 15 });
+  const west = (h) => ({ lat: 10.1, lon: 9 - h * 0.9, altitude: 15 });
+  const tracks = associateTracks(framesOf([east, west], [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]));
+
+  assert.equal(tracks.length, 2);
+  const [a, b] = tracks.sort((x, y) => x.points[0].lon - y.points[0].lon);
+  assert.deepEqual(lons(a), [...lons(a)].sort((x, y) => x - y), "eastbound track only moves east");
+  assert.deepEqual(lons(b), [...lons(b)].sort((x, y) => y - x), "westbound track only moves west");
+  assert.equal(a.points.length, 11);
+  assert.equal(b.points.length, 11);
+  assert.ok(a.association.confidence > 0 && a.association.confidence <= 1);
+});
+
+test("a reshuffled snapshot index does not swap tracks", () => {
+  const north = (h) => ({ lat: 40 + h * 0.1, lon: -120, altitude: 12 });
+  const south = (h) => ({ lat: 30 - h * 0.1, lon: -120, altitude: 18 });
+  const tracks = associateTracks(framesOf([north, south], [0, 1, 2, 3], (h) => (h % 2 ? [1, 0] : [0, 1])));
+
+  assert.equal(tracks.length, 2);
+  for (const track of tracks) {
+    const lats = track.points.map((p) => p.lat);
+    assert.ok(lats.every((lat) => lat > 35) || lats.every((lat) => lat < 35));
+  }
+});
+
+test("ids carry over through previousIds as the window moves on", () => {
+  const balloons = [0, 1, 2].map((k) => (h) => ({ lat: 10 + k * 5 + h * 0.1, lon: 20 + h * 0.2, altitude: 15 }));
+  const first = associateTracks(framesOf(balloons, [0, 1, 2, 3]));
+  assert.deepEqual(
+    first.map((t) => t.id),
+    ["balloon-2025-01-01T00-0", "balloon-2025-01-01T00-1", "balloon-2025-01-01T00-2"]
+  );
+
+  // One hour later: the first hour has left the window, the array order
+  // changed and balloon 0 has gone missing
+  const later = framesOf(balloons, [1, 2, 3, 4], (h) => (h === 4 ? [2, 1] : [0, 1, 2]));
+  const second = associateTracks(later, { previousIds: trackIdsByFix(first) });
+
+  const byLat = (tracks) => new Map(tracks.map((t) => [Math.round(t.points[0].lat), t]));
+  const before = byLat(first);
+  for (const [lat, track] of byLat(second)) assert.equal(track.id, before.get(lat).id);
+  assert.equal(second.find((t) => t.id === "balloon-2025-01-01T00-0").association.status, "lost");
+
+  // Without them, ids follow the first fix of the new window
+  assert.ok(associateTracks(later).every((t) => t.id.startsWith("balloon-2025-01-01T01-")));
+});
+
+test("points with a source id are linked by it", () => {
+  const tracks = associateTracks(framesOf([(h) => ({ id: "W-7", lat: 0, lon: h * 5, altitude: 15 })], [0, 1, 2]));
+  assert.equal(tracks.length, 1);
+  assert.equal(tracks[0].id, "W-7");
+  assert.equal(tracks[0].association.method, "id");
+});
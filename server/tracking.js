@@ -0,0 +1,251 @@
+// ------------------------------------------------------------
+//  TRACK ASSOCIATION
+//  Links each hourly snapshot to the previous hour's tracks by
+//  position instead of trusting the array index to be stable.
+// ------------------------------------------------------------
+
+import { haversineKm, wrapLon } from "./geo.js";
+
+const HOUR_MS = 3600_000;
+const KM_PER_DEG_LAT = 111.2;
+
+export const DEFAULT_MAX_DRIFT_KMH = 250; // jet-stream level winds, with headroom
+export const DEFAULT_MAX_GAP_HOURS = 2; // missed snapshots before a track is ended
+export const DEFAULT_MIN_GATE_KM = 25; // floor for very short time steps
+// Horizontal-equivalent cost of one unit of altitude difference (the feed
+// reports km). Balloons near each other are usually at different levels,
+// and altitude is the only cue before a track has a velocity.
+export const DEFAULT_ALTITUDE_WEIGHT_KM = 10;
+
+// Dead-reckon the track forward using its last observed velocity
+function predict(track, time) {
+  const last = track.points[track.points.length - 1];
+  const prev = track.points[track.points.length - 2];
+  if (!prev) return last;
+
+  const stepH = (Date.parse(last.timestamp) - Date.parse(prev.timestamp)) / HOUR_MS;
+  if (stepH <= 0) return last;
+
+  const dtH = (time - track.lastTime) / HOUR_MS;
+  const vLat = (last.lat - prev.lat) / stepH;
+  const vLon = wrapLon(last.lon - prev.lon) / stepH;
+
+  return {
+    lat: Math.max(-90, Math.min(90, last.lat + vLat * dtH)),
+    lon: wrapLon(last.lon + vLon * dtH),
+  };
+}
+
+// Id of a new anonymous track, kept for the track's whole life: the hour
+// of its first fix and the snapshot index it appeared at
+const newTrackId = (time, index) => `balloon-${new Date(time).toISOString().slice(0, 13)}-${index}`;
+
+// Key for a fix shared between two builds of the same tracks
+const fixKey = (p) => `${p.timestamp}|${p.lat}|${p.lon}`;
+
+function startTrack(tracks, entry, time, sourceId = null) {
+  const track = {
+    id: sourceId != null ? String(sourceId) : newTrackId(time, entry.index),
+    sourceId,
+    points: [entry.point],
+    scores: [],
+    gaps: 0,
+    lastTime: time,
+  };
+  tracks.push(track);
+  return track;
+}
+
+function extendTrack(track, entry, time, score, stepHours) {
+  track.points.push(entry.point);
+  track.scores.push(score);
+  track.gaps += Math.max(0, Math.round(stepHours) - 1);
+  track.lastTime = time;
+}
+
+/**
+ * Fix → track id for tracks from an earlier build, so a rebuild over a
+ * later window can carry their ids over (see `previousIds` below).
+ */
+export function trackIdsByFix(tracks = []) {
+  const ids = new Map();
+  for (const track of tracks) {
+    for (const p of track.track ?? track.points) ids.set(fixKey(p), track.id);
+  }
+  return ids;
+}
+
+/**
+ * Associate hourly snapshots into per-balloon tracks.
+ *
+ * `frames` is a list of `{ hour, time, points }` where `points` is the
+ * normalized snapshot (nulls allowed, array index is kept for naming).
+ * Points that carry their own id are linked by id; the rest are linked
+ * by global-nearest-neighbour against each track's predicted position,
+ * gated by the distance a balloon could plausibly drift in the elapsed time.
+ *
+ * Anonymous tracks are named after their first fix, which moves once the
+ * rolling window drops it. Pass `previousIds` (trackIdsByFix of the last
+ * build) and a track sharing a fix with an earlier one keeps that id, so
+ * ids stay stable across refreshes and after a track is lost.
+ *
+ * Returns tracks ordered by id, each with `{ id, points, association }`.
+ */
+export function associateTracks(frames, options = {}) {
+  const maxDriftKmh = options.maxDriftKmh ?? DEFAULT_MAX_DRIFT_KMH;
+  const maxGapHours = options.maxGapHours ?? DEFAULT_MAX_GAP_HOURS;
+  const minGateKm = options.minGateKm ?? DEFAULT_MIN_GATE_KM;
+  const altitudeWeightKm = options.altitudeWeightKm ?? DEFAULT_ALTITUDE_WEIGHT_KM;
+  const previousIds = options.previousIds ?? new Map();
+
+  const ordered = [...frames].sort((a, b) => a.time - b.time);
+  if (!ordered.length) return [];
+  const latestTime = ordered[ordered.length - 1].time;
+
+  const active = [];
+  const ended = [];
+  const bySourceId = new Map();
+
+  for (const frame of ordered) {
+    // 1. End tracks that have been missing for too long
+    for (let i = active.length - 1; i >= 0; i--) {
+      if (frame.time - active[i].lastTime > maxGapHours * HOUR_MS) {
+        ended.push(...active.splice(i, 1));
+      }
+    }
+
+    const entries = [];
+    frame.points.forEach((point, index) => {
+      if (point) entries.push({ point, index });
+    });
+
+    // 2. Points with a real id from the source are linked directly
+    const anonymous = [];
+    for (const entry of entries) {
+      const sourceId = entry.point.id;
+      if (sourceId == null) {
+        anonymous.push(entry);
+        continue;
+      }
+
+      const track = bySourceId.get(sourceId);
+      if (track && active.includes(track)) {
+        extendTrack(track, entry, frame.time, 1, (frame.time - track.lastTime) / HOUR_MS);
+      } else {
+        bySourceId.set(sourceId, startTrack(active, entry, frame.time, sourceId));
+      }
+    }
+
+    // 3. Gated candidate pairs between open tracks and anonymous points
+    const open = active.filter((t) => t.sourceId == null && t.lastTime < frame.time);
+    const candidates = [];
+
+    open.forEach((track, ti) => {
+      const last = track.points[track.points.length - 1];
+      const dtH = (frame.time - track.lastTime) / HOUR_MS;
+      const gateKm = Math.max(minGateKm, maxDriftKmh * dtH);
+      const predicted = predict(track, frame.time);
+
+      anonymous.forEach((entry, pi) => {
+        const pt = entry.point;
+        // Cheap latitude prefilter before the trig
+        if (Math.abs(pt.lat - last.lat) * KM_PER_DEG_LAT > gateKm) return;
+
+        const driftKm = haversineKm(last.lat, last.lon, pt.lat, pt.lon);
+        if (driftKm > gateKm) return;
+
+        const climb =
+          typeof pt.altitude === "number" && typeof last.altitude === "number"
+            ? Math.abs(pt.altitude - last.altitude) * altitudeWeightKm
+            : 0;
+        const cost = haversineKm(predicted.lat, predicted.lon, pt.lat, pt.lon) + climb;
+        candidates.push({ ti, pi, cost, gateKm, dtH });
+      });
+    });
+
+    // Second-best cost per track / per point, used to score ambiguity
+    const bestTwo = (key, n) => {
+      const out = Array.from({ length: n }, () => [Infinity, Infinity]);
+      for (const c of candidates) {
+        const slot = out[c[key]];
+        if (c.cost < slot[0]) {
+          slot[1] = slot[0];
+          slot[0] = c.cost;
+        } else if (c.cost < slot[1]) {
+          slot[1] = c.cost;
+        }
+      }
+      return out;
+    };
+    const byTrack = bestTwo("ti", open.length);
+    const byPoint = bestTwo("pi", anonymous.length);
+
+    // 4. Greedy global nearest-neighbour assignment
+    candidates.sort((a, b) => a.cost - b.cost);
+    const usedTracks = new Set();
+    const usedPoints = new Set();
+
+    for (const c of candidates) {
+      if (usedTracks.has(c.ti) || usedPoints.has(c.pi)) continue;
+      usedTracks.add(c.ti);
+      usedPoints.add(c.pi);
+
+      const rival = Math.min(
+        byTrack[c.ti][0] === c.cost ? byTrack[c.ti][1] : byTrack[c.ti][0],
+        byPoint[c.pi][0] === c.cost ? byPoint[c.pi][1] : byPoint[c.pi][0]
+      );
+      const closeness = Math.max(0, 1 - c.cost / c.gateKm);
+      const separation = isFinite(rival) && rival > 0 ? Math.max(0, 1 - c.cost / rival) : 1;
+      const score = closeness * (0.5 + 0.5 * separation);
+
+      extendTrack(open[c.ti], anonymous[c.pi], frame.time, score, c.dtH);
+    }
+
+    // 5. Anything left over starts a new track
+    anonymous.forEach((entry, pi) => {
+      if (!usedPoints.has(pi)) startTrack(active, entry, frame.time);
+    });
+  }
+
+  // Oldest tracks first, so a track that split keeps its id on the older half
+  const claimed = new Set();
+  const startOf = (track) => Date.parse(track.points[0].timestamp);
+  const all = [...ended, ...active].sort((a, b) => startOf(a) - startOf(b));
+  for (const track of all) {
+    if (track.sourceId != null) continue;
+    for (const p of track.points) {
+      const known = previousIds.get(fixKey(p));
+      if (known && !claimed.has(known)) {
+        claimed.add(known);
+        track.id = known;
+        break;
+      }
+    }
+  }
+
+  const tracks = all.map((track) => {
+    const { id } = track;
+    const alive = track.lastTime === latestTime;
+
+    const confidence = track.scores.length
+      ? track.scores.reduce((sum, s) => sum + s, 0) / track.scores.length
+      : null;
+
+    return {
+      id,
+      points: track.points.map((p) => ({ ...p, id })),
+      association: {
+        status: alive ? "active" : "lost",
+        method: track.sourceId != null ? "id" : "position",
+        confidence: confidence != null ? Number(confidence.toFixed(3)) : null,
+        min_link_score: track.scores.length ? Number(Math.min(...track.scores).toFixed(3)) : null,
+        links: track.scores.length,
+        gaps: track.gaps,
+        started_at: track.points[0].timestamp,
+        ended_at: track.points[track.points.length - 1].timestamp,
+      },
+    };
+  });
+
+  return tracks.sort((a, b) => a.id.localeCompare(b.id));
+}
@@ -0,0 +1,133 @@
+// ------------------------------------------------------------
+//  VIEWPORT
+//  Trim a scene to what a map view shows: flights, fires and
+//  fire events inside a bbox, with tracks simplified to the
+//  detail the zoom level can actually draw.
+// ------------------------------------------------------------
+
+import { wrapLon } from "./geo.js";
+
+export const MAX_ZOOM = 20;
+const TOLERANCE_PX = 1.5; // detail finer than this many screen pixels is dropped
+
+/**
+ * "minLon,minLat,maxLon,maxLat" → { bbox } or { error }. minLon > maxLon
+ * is a box across the antimeridian.
+ */
+export function parseBbox(value) {
+  const parts = String(value).split(",").map(Number);
+  if (parts.length !== 4 || parts.some((n) => !Number.isFinite(n))) {
+    return { error: "bbox must be minLon,minLat,maxLon,maxLat" };
+  }
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (minLat > maxLat || Math.abs(minLat) > 90 || Math.abs(maxLat) > 90) {
+    return { error: "bbox latitudes must be within -90..90 with minLat <= maxLat" };
+  }
+  // Leaflet reports longitudes past ±180 once the map has been panned round
+  return {
+    bbox:
+      maxLon - minLon >= 360
+        ? { minLon: -180, minLat, maxLon: 180, maxLat }
+        : { minLon: wrapLon(minLon), minLat, maxLon: wrapLon(maxLon), maxLat },
+  };
+}
+
+/**
+ * bbox and zoom query parameters → { viewport } or { error }.
+ * Neither given = no viewport.
+ */
+export function parseViewport(query) {
+  if (query.bbox == null && query.zoom == null) return { viewport: null };
+
+  let bbox = null;
+  if (query.bbox != null) {
+    const parsed = parseBbox(query.bbox);
+    if (parsed.error) return { error: parsed.error };
+    bbox = parsed.bbox;
+  }
+
+  let zoom = null;
+  if (query.zoom != null) {
+    zoom = Number(query.zoom);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+      return { error: `zoom must be an integer from 0 to ${MAX_ZOOM}` };
+    }
+  }
+
+  return { viewport: { bbox, zoom } };
+}
+
+export function inBbox({ lat, lon }, { minLon, minLat, maxLon, maxLat }) {
+  if (lat < minLat || lat > maxLat) return false;
+  return minLon <= maxLon ? lon >= minLon && lon <= maxLon : lon >= minLon || lon <= maxLon;
+}
+
+// Degrees of longitude per screen pixel at a zoom level (256 px tiles)
+const degPerPixel = (zoom) => 360 / (256 * 2 ** zoom);
+
+// Perpendicular distance of p from segment a-b, in (lon-scaled) degrees
+function segmentDistance(p, a, b) {
+  const k = Math.cos(((a.lat + b.lat) / 2) * (Math.PI / 180));
+  const ax = a.lon * k;
+  const bx = b.lon * k;
+  const px = p.lon * k;
+  const dx = bx - ax;
+  const dy = b.lat - a.lat;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * dx + (p.lat - a.lat) * dy) / len2)) : 0;
+  return Math.hypot(px - (ax + t * dx), p.lat - (a.lat + t * dy));
+}
+
+/**
+ * Douglas–Peucker over track points (iterative, so long archived tracks
+ * can't overflow the stack). The first and last points are always kept.
+ */
+export function simplifyTrack(track, toleranceDeg) {
+  if (track.length <= 2 || !(toleranceDeg > 0)) return track;
+
+  const keep = new Uint8Array(track.length);
+  keep[0] = keep[track.length - 1] = 1;
+  const stack = [[0, track.length - 1]];
+
+  while (stack.length) {
+    const [start, end] = stack.pop();
+    let worst = -1;
+    let worstDist = toleranceDeg;
+    for (let i = start + 1; i < end; i++) {
+      const d = segmentDistance(track[i], track[start], track[end]);
+      if (d > worstDist) {
+        worst = i;
+        worstDist = d;
+      }
+    }
+    if (worst !== -1) {
+      keep[worst] = 1;
+      stack.push([start, worst], [worst, end]);
+    }
+  }
+  return track.filter((_, i) => keep[i]);
+}
+
+/**
+ * The part of a (full-resolution) scene inside a viewport. A flight is in
+ * view when any track point is, a plume when any corridor vertex is;
+ * tracks are simplified for the zoom.
+ */
+export function sceneInViewport(scene, { bbox, zoom }) {
+  const flightInView = (f) => !bbox || inBbox(f.latest, bbox) || f.track.some((p) => inBbox(p, bbox));
+  const corridorInView = (ring) => ring.some(([lat, lon]) => inBbox({ lat, lon: wrapLon(lon) }, bbox));
+  const tolerance = zoom == null ? 0 : degPerPixel(zoom) * TOLERANCE_PX;
+
+  const flights = scene.flights
+    .filter(flightInView)
+    .map((f) => ({ ...f, track: simplifyTrack(f.track, tolerance) }));
+
+  return {
+    ...scene,
+    flights,
+    fires: bbox ? scene.fires.filter((f) => inBbox(f, bbox)) : scene.fires,
+    fire_events: bbox ? scene.fire_events.filter((e) => inBbox(e.centroid, bbox)) : scene.fire_events,
+    plumes: bbox ? (scene.plumes ?? []).filter((p) => corridorInView(p.corridor)) : scene.plumes,
+    viewport: { bbox, zoom, flights_total: scene.flights.length },
+  };
+}
@@ -0,0 +1,219 @@
+// ------------------------------------------------------------
+//  WATCH LOCATIONS
+//  Named points of interest (towns, ground stations, launch
+//  sites) with a radius, checked on every scene build for the
+//  balloons and fires inside it or heading its way.
+// ------------------------------------------------------------
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { haversineKm } from "./geo.js";
+import { createPlumeIndex, EXPOSED_INTENSITY } from "./plume.js";
+
+export const WATCH_KINDS = ["town", "ground_station", "launch_site", "other"];
+export const WATCH_STATUSES = ["alert", "watch", "clear"]; // something inside / approaching / neither
+const SPREAD_FACTOR = 2; // new or growing fires within twice the radius count as approaching
+const MAX_LISTED = 20;
+
+let locationsFile = null;
+let locations = [];
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+
+// ------------------------------------------------------------
+//  PERSISTENCE
+// ------------------------------------------------------------
+
+export async function loadWatchLocations({ dir }) {
+  locationsFile = path.join(dir, "watch-locations.json");
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  if (fs.existsSync(locationsFile)) {
+    try {
+      locations = JSON.parse(await fs.promises.readFile(locationsFile, "utf8"));
+    } catch (err) {
+      console.warn(`watch: could not read ${locationsFile} (${err.message}); starting with no locations`);
+    }
+  }
+  console.log("watch: loaded", locations.length, "locations");
+}
+
+async function saveLocations() {
+  const tmp = `${locationsFile}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(locations, null, 2));
+  await fs.promises.rename(tmp, locationsFile);
+}
+
+// ------------------------------------------------------------
+//  LOCATIONS (CRUD)
+// ------------------------------------------------------------
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+/**
+ * Validate a watch location body. Returns a list of problems (empty when valid).
+ */
+export function validateWatchLocation(body) {
+  const errors = [];
+  if (!body || typeof body !== "object") return ["body must be a JSON object"];
+
+  if (typeof body.name !== "string" || !body.name.trim()) errors.push("name is required");
+  if (body.kind != null && !WATCH_KINDS.includes(body.kind)) errors.push(`kind must be one of ${WATCH_KINDS.join(", ")}`);
+  if (!isNum(body.lat) || body.lat < -90 || body.lat > 90) errors.push("lat must be a number between -90 and 90");
+  if (!isNum(body.lon) || body.lon < -180 || body.lon > 180) errors.push("lon must be a number between -180 and 180");
+  if (!isNum(body.radius_km) || body.radius_km <= 0) errors.push("radius_km must be a positive number");
+  return errors;
+}
+
+const toLocation = (body, id, createdAt) => ({
+  id,
+  name: body.name.trim(),
+  kind: body.kind ?? "other",
+  lat: body.lat,
+  lon: body.lon,
+  radius_km: body.radius_km,
+  created_at: createdAt,
+  updated_at: new Date().toISOString(),
+});
+
+export const listWatchLocations = () => locations;
+export const getWatchLocation = (id) => locations.find((l) => l.id === id) ?? null;
+
+export async function createWatchLocation(body) {
+  const location = toLocation(body, crypto.randomUUID(), new Date().toISOString());
+  locations.push(location);
+  await saveLocations();
+  return location;
+}
+
+export async function updateWatchLocation(id, body) {
+  const index = locations.findIndex((l) => l.id === id);
+  if (index === -1) return null;
+
+  locations[index] = toLocation(body, id, locations[index].created_at);
+  await saveLocations();
+  return locations[index];
+}
+
+export async function deleteWatchLocation(id) {
+  const index = locations.findIndex((l) => l.id === id);
+  if (index === -1) return false;
+
+  locations.splice(index, 1);
+  await saveLocations();
+  return true;
+}
+
+// ------------------------------------------------------------
+//  STATUS
+// ------------------------------------------------------------
+
+// First forecast point inside the radius, if the forecast gets there
+function forecastEntry(location, forecast) {
+  for (const p of forecast?.points ?? []) {
+    if (haversineKm(location.lat, location.lon, p.lat, p.lon) <= location.radius_km) return p;
+  }
+  return null;
+}
+
+function balloonsAt(location, flights) {
+  const inside = [];
+  const approaching = [];
+  for (const f of flights) {
+    const { lat, lon, altitude, timestamp } = f.latest;
+    const distanceKm = round(haversineKm(location.lat, location.lon, lat, lon));
+    if (distanceKm <= location.radius_km) {
+      inside.push({ flight_id: f.id, distance_km: distanceKm, altitude, timestamp });
+      continue;
+    }
+    const entry = forecastEntry(location, f.forecast);
+    if (entry) {
+      approaching.push({ flight_id: f.id, distance_km: distanceKm, eta_hours: entry.hours_ahead, eta: entry.timestamp });
+    }
+  }
+  return {
+    inside: inside.sort((a, b) => a.distance_km - b.distance_km),
+    approaching: approaching.sort((a, b) => a.eta_hours - b.eta_hours || a.distance_km - b.distance_km),
+  };
+}
+
+// Fires burning inside the radius; fire events outside it whose smoke
+// reaches the location, or that are new / growing close by
+function firesAt(location, fires, events, plumeIndex, time) {
+  const inside = fires
+    .map((f) => ({ fire: f, distanceKm: haversineKm(location.lat, location.lon, f.lat, f.lon) }))
+    .filter((hit) => hit.distanceKm <= location.radius_km)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .map(({ fire, distanceKm }) => ({
+      fire_id: fire.id,
+      distance_km: round(distanceKm),
+      acquired_at: fire.acquired_at,
+      frp: fire.frp ?? null,
+    }));
+  const insideIds = new Set(inside.map((f) => f.fire_id));
+
+  const smoke = plumeIndex.size ? plumeIndex.strongest({ lat: location.lat, lon: location.lon, timestamp: time }) : null;
+  const smokeFrom = smoke && smoke.intensity >= EXPOSED_INTENSITY ? smoke.plume.event_id : null;
+
+  const approaching = [];
+  for (const event of events) {
+    if (event.detection_ids.some((id) => insideIds.has(id))) continue;
+    const distanceKm = haversineKm(location.lat, location.lon, event.centroid.lat, event.centroid.lon);
+    const spreading =
+      (event.status === "new" || event.status === "growing") && distanceKm <= SPREAD_FACTOR * location.radius_km;
+    if (event.id !== smokeFrom && !spreading) continue;
+    approaching.push({
+      event_id: event.id,
+      distance_km: round(distanceKm),
+      status: event.status ?? null,
+      reason: event.id === smokeFrom ? "smoke" : "spreading",
+    });
+  }
+
+  return {
+    inside,
+    approaching: approaching.sort((a, b) => a.distance_km - b.distance_km),
+    smoke: smokeFrom ? { event_id: smokeFrom, intensity: round(smoke.intensity, 3) } : null,
+  };
+}
+
+/**
+ * Status of every watch location against a scene: balloons inside the
+ * radius now or forecast to enter it, fires inside it and fire events
+ * approaching it (smoke blowing over, or spreading nearby).
+ * `status` is the first of WATCH_STATUSES that applies.
+ */
+export function watchStatus(watchLocations, { flights = [], fires = [], fire_events: events = [], plumes = [] }) {
+  const plumeIndex = createPlumeIndex(plumes);
+  // Smoke is checked at the time of the newest data, not the wall clock
+  const latest = flights.reduce((max, f) => Math.max(max, Date.parse(f.latest.timestamp) || -Infinity), -Infinity);
+  const time = Number.isFinite(latest) ? new Date(latest).toISOString() : new Date().toISOString();
+
+  return watchLocations.map((location) => {
+    const balloons = balloonsAt(location, flights);
+    const fireHits = firesAt(location, fires, events, plumeIndex, time);
+    const status =
+      balloons.inside.length || fireHits.inside.length
+        ? "alert"
+        : balloons.approaching.length || fireHits.approaching.length
+          ? "watch"
+          : "clear";
+
+    return {
+      ...location,
+      status,
+      counts: {
+        balloons_inside: balloons.inside.length,
+        balloons_approaching: balloons.approaching.length,
+        fires_inside: fireHits.inside.length,
+        fires_approaching: fireHits.approaching.length,
+      },
+      balloons_inside: balloons.inside.slice(0, MAX_LISTED),
+      balloons_approaching: balloons.approaching.slice(0, MAX_LISTED),
+      fires_inside: fireHits.inside.slice(0, MAX_LISTED),
+      fires_approaching: fireHits.approaching.slice(0, MAX_LISTED),
+      smoke: fireHits.smoke,
+    };
+  });
+}
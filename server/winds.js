@@ -0,0 +1,183 @@
+// ------------------------------------------------------------
+//  BALLOON-DERIVED WINDS
+//  A balloon drifts with the air around it, so every track
+//  segment is a wind measurement at its altitude and time. These
+//  are binned into altitude bands and interpolated (inverse
+//  distance weighting) onto a grid over the scene's regions.
+// ------------------------------------------------------------
+
+import { bearingDeg, destinationPoint, haversineKm, toDeg, toRad, wrapLon } from "./geo.js";
+import { createParser } from "./query.js";
+import { createGridIndex } from "./spatial.js";
+
+const HOUR_MS = 3600_000;
+
+// Feed altitude units (km), lower bound inclusive
+export const ALTITUDE_BANDS = [
+  { id: "0-5", min: 0, max: 5 },
+  { id: "5-10", min: 5, max: 10 },
+  { id: "10-15", min: 10, max: 15 },
+  { id: "15-20", min: 15, max: 20 },
+  { id: "20+", min: 20, max: Infinity },
+];
+export const DEFAULT_WINDOW_HOURS = 6;
+const MAX_WINDOW_HOURS = 48;
+const MAX_SEGMENT_HOURS = 3; // longer gaps average the wind over too much
+export const INFLUENCE_KM = 400; // grid cells farther than this from any sample stay empty
+const SMOOTHING_KM = 50; // keeps a sample on top of a cell from taking all the weight
+const MAX_CELLS = 1500;
+const MIN_CELL_DEG = 0.5;
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+
+export const bandOf = (altitude) =>
+  typeof altitude === "number" ? (ALTITUDE_BANDS.find((b) => altitude >= b.min && altitude < b.max)?.id ?? null) : null;
+
+// Speed and meteorological direction (where the wind blows FROM) of a u/v vector
+function describe(u, v) {
+  const toward = (toDeg(Math.atan2(u, v)) + 360) % 360;
+  return {
+    u_kmh: round(u),
+    v_kmh: round(v),
+    speed_kmh: round(Math.hypot(u, v)),
+    direction_deg: round((toward + 180) % 360, 1),
+  };
+}
+
+/**
+ * One wind vector per track segment, placed at the segment's midpoint in
+ * space, time and altitude. Segments across long gaps are skipped.
+ */
+export function windVectors(flights) {
+  const vectors = [];
+  for (const f of flights) {
+    for (let i = 1; i < f.track.length; i++) {
+      const a = f.track[i - 1];
+      const b = f.track[i];
+      const hours = (Date.parse(b.timestamp) - Date.parse(a.timestamp)) / HOUR_MS;
+      if (!(hours > 0) || hours > MAX_SEGMENT_HOURS) continue;
+
+      const distanceKm = haversineKm(a.lat, a.lon, b.lat, b.lon);
+      const heading = bearingDeg(a.lat, a.lon, b.lat, b.lon);
+      const mid = destinationPoint(a.lat, a.lon, heading, distanceKm / 2);
+      const altitude =
+        typeof a.altitude === "number" && typeof b.altitude === "number" ? (a.altitude + b.altitude) / 2 : null;
+      const speed = distanceKm / hours;
+
+      vectors.push({
+        flight_id: f.id,
+        lat: round(mid.lat, 4),
+        lon: round(mid.lon, 4),
+        altitude: altitude != null ? round(altitude, 3) : null,
+        band: bandOf(altitude),
+        timestamp: new Date((Date.parse(a.timestamp) + Date.parse(b.timestamp)) / 2).toISOString(),
+        ...describe(speed * Math.sin(toRad(heading)), speed * Math.cos(toRad(heading))),
+      });
+    }
+  }
+  return vectors;
+}
+
+/**
+ * Inverse-distance-weighted wind from spatial index hits
+ * ({ item: vector, distanceKm }), or null when there are none.
+ */
+export function interpolateWind(hits) {
+  if (!hits.length) return null;
+
+  let u = 0;
+  let v = 0;
+  let total = 0;
+  for (const { item, distanceKm } of hits) {
+    const w = 1 / (distanceKm ** 2 + SMOOTHING_KM ** 2);
+    u += item.u_kmh * w;
+    v += item.v_kmh * w;
+    total += w;
+  }
+  return {
+    ...describe(u / total, v / total),
+    samples: hits.length,
+    nearest_sample_km: round(hits.reduce((min, h) => Math.min(min, h.distanceKm), Infinity), 1),
+  };
+}
+
+// Width of a region's longitude span, across the antimeridian if needed
+const lonWidth = ({ minLon, maxLon }) => (minLon <= maxLon ? maxLon - minLon : maxLon + 360 - minLon);
+
+// Cell size keeping the whole grid under MAX_CELLS, in quarter degrees
+function cellSize(regions) {
+  const area = regions.reduce((sum, { bounds }) => sum + lonWidth(bounds) * (bounds.maxLat - bounds.minLat), 0);
+  return Math.max(MIN_CELL_DEG, Math.ceil(Math.sqrt(area / MAX_CELLS) * 4) / 4);
+}
+
+/**
+ * Interpolate `vectors` onto a grid over each region. Cells with no sample
+ * within INFLUENCE_KM are left out rather than extrapolated.
+ */
+export function windField(vectors, regions) {
+  const cellDeg = cellSize(regions);
+  const index = createGridIndex(vectors, 1);
+  const cells = [];
+
+  for (const { id, bounds } of regions) {
+    const rows = Math.max(1, Math.ceil((bounds.maxLat - bounds.minLat) / cellDeg));
+    const cols = Math.max(1, Math.ceil(lonWidth(bounds) / cellDeg));
+
+    for (let r = 0; r < rows; r++) {
+      const lat = bounds.minLat + (r + 0.5) * cellDeg;
+      for (let c = 0; c < cols; c++) {
+        const lon = wrapLon(bounds.minLon + (c + 0.5) * cellDeg);
+        const wind = interpolateWind(index.within(lat, lon, INFLUENCE_KM));
+        if (wind) cells.push({ region_id: id, lat: round(lat, 3), lon: round(lon, 3), ...wind });
+      }
+    }
+  }
+  return { cell_deg: cellDeg, influence_km: INFLUENCE_KM, cells };
+}
+
+/**
+ * /api/winds query → { options } or { errors }: altitude_band (a band id
+ * or "all"; default the band with the most samples), at (end of the time
+ * window; default the latest sample) and window_hours.
+ */
+export function parseWindQuery(query) {
+  const p = createParser(query);
+  const options = {
+    band: p.oneOf("altitude_band", [...ALTITUDE_BANDS.map((b) => b.id), "all"]),
+    at: p.time("at"),
+    windowHours: p.number("window_hours", { min: 1, max: MAX_WINDOW_HOURS }) ?? DEFAULT_WINDOW_HOURS,
+  };
+  return p.errors.length ? { errors: p.errors } : { options };
+}
+
+/**
+ * The wind layer for one altitude band: samples in the time window, the
+ * interpolated grid, and how many samples every band has in that window.
+ */
+export function windLayer(vectors, regions, { band, at, windowHours }) {
+  const end = at ?? vectors.reduce((latest, v) => Math.max(latest, Date.parse(v.timestamp)), -Infinity);
+  const start = end - windowHours * HOUR_MS;
+  const recent = vectors.filter((v) => {
+    const time = Date.parse(v.timestamp);
+    return time > start && time <= end;
+  });
+
+  const bands = ALTITUDE_BANDS.map((b) => ({
+    id: b.id,
+    min_km: b.min,
+    max_km: Number.isFinite(b.max) ? b.max : null,
+    samples: recent.filter((v) => v.band === b.id).length,
+  }));
+  const chosen = band ?? bands.reduce((best, b) => (b.samples > best.samples ? b : best), bands[0]).id;
+  const samples = chosen === "all" ? recent : recent.filter((v) => v.band === chosen);
+
+  return {
+    altitude_band: chosen,
+    bands,
+    window: Number.isFinite(end)
+      ? { from: new Date(start).toISOString(), to: new Date(end).toISOString(), hours: windowHours }
+      : null,
+    samples,
+    grid: windField(samples, regions),
+  };
+}